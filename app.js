@@ -75,19 +75,26 @@ function initTheme(){
 const DOCK_KEY = "ids4_dock_visibility_v1";
 
 function getDockState() {
-  try {
-    const raw = localStorage.getItem(DOCK_KEY);
-    const obj = raw ? JSON.parse(raw) : null;
-    if (obj && typeof obj === "object") return obj;
-  } catch {}
-  return {
+  // windows added after a state was saved default to visible
+  const defaults = {
     boxPrd: true,
     boxNavaid: true,
     boxMain: true,
     boxWx: true,
+    boxAlerts: true,
     boxRunway: true,
-    boxRvr: true
+    boxRvr: true,
+    boxDiag: true,
+    boxMatrix: false,
+    boxClearance: true,
+    boxBatch: false
   };
+  try {
+    const raw = localStorage.getItem(DOCK_KEY);
+    const obj = raw ? JSON.parse(raw) : null;
+    if (obj && typeof obj === "object") return { ...defaults, ...obj };
+  } catch {}
+  return defaults;
 }
 
 function saveDockState(state) {
@@ -119,11 +126,11 @@ function applyDockState(state) {
   const mainBox = document.getElementById("boxMain");
 
   if (leftWrap) {
-    const anyLeftOn = !!state.boxPrd || !!state.boxNavaid;
+    const anyLeftOn = !!state.boxPrd || !!state.boxNavaid || !!state.boxDiag;
     leftWrap.classList.toggle("isHidden", !anyLeftOn);
   }
   if (rightWrap) {
-    const anyRightOn = !!state.boxWx || !!state.boxRunway || !!state.boxRvr;
+    const anyRightOn = !!state.boxWx || !!state.boxAlerts || !!state.boxRunway || !!state.boxRvr || !!state.boxClearance;
     rightWrap.classList.toggle("isHidden", !anyRightOn);
   }
   if (mainBox) {
@@ -155,17 +162,25 @@ function wireDock() {
 ========================= */
 const KLGA_LAT = 40.7772;
 const KLGA_LON = -73.8726;
+const KLGA_MAG_VAR_DEG = -13; // 13°W; east variation is positive
 
 let navaidsRows = [];
 let navaidByIdent = new Map();
 let navaidSearchIndex = [];
 
+let fixesRows = [];
+let fixByIdent = new Map();
+let fixSearchIndex = [];
+
 let airportsRows = [];
 let airportByIdent = new Map();
 let airportSearchIndex = [];
+let airportByIata = new Map();
 
 function toNumberOrNaN(v) {
-  const n = Number(norm(v));
+  const s = norm(v);
+  if (!s) return NaN;
+  const n = Number(s);
   return Number.isFinite(n) ? n : NaN;
 }
 
@@ -185,6 +200,28 @@ function haversineNM(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+/* initial true course from point 1 to point 2, 0-360 */
+function bearingDeg(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLon = toRad(lon2 - lon1);
+
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function trueToMagnetic(deg, variation = KLGA_MAG_VAR_DEG) {
+  return ((deg - variation) % 360 + 360) % 360;
+}
+
+function formatBearing(deg) {
+  const d = Math.round(deg) % 360;
+  return String(d === 0 ? 360 : d).padStart(3, "0");
+}
+
 function freqDisplayFromFrequencyKhz(raw) {
   const s = norm(raw);
   if (!s) return "(unknown)";
@@ -238,18 +275,101 @@ function buildNavaidMaps(rows) {
   );
 }
 
-function buildAirportMaps(rows) {
+function buildFixMaps(rows) {
+  fixByIdent = new Map();
+  fixSearchIndex = [];
+
+  for (const r of rows) {
+    const ident = norm(r.ident).toUpperCase();
+    if (!ident) continue;
+
+    const lat = toNumberOrNaN(r.latitude_deg);
+    const lon = toNumberOrNaN(r.longitude_deg);
+    const hasPos = Number.isFinite(lat) && Number.isFinite(lon);
+
+    const obj = {
+      KIND: "FIX",
+      IDENT: ident,
+      TYPE: norm(r.type).toUpperCase(),
+      DEFINED_BY: norm(r.defined_by).toUpperCase(),
+      LAT: lat,
+      LON: lon,
+      DIST_NM: hasPos ? haversineNM(KLGA_LAT, KLGA_LON, lat, lon) : Infinity,
+      BRG_TRUE: hasPos ? bearingDeg(KLGA_LAT, KLGA_LON, lat, lon) : NaN
+    };
+    obj.BRG_MAG = hasPos ? trueToMagnetic(obj.BRG_TRUE) : NaN;
+    if (!fixByIdent.has(ident)) fixByIdent.set(ident, obj);
+
+    const key = `${obj.IDENT} ${obj.TYPE} ${obj.DEFINED_BY} FIX`.toUpperCase();
+    fixSearchIndex.push({ ...obj, key });
+  }
+
+  fixSearchIndex.sort((a, b) =>
+    (a.DIST_NM - b.DIST_NM) || a.IDENT.localeCompare(b.IDENT)
+  );
+}
+
+const AIRPORT_TYPE_LABELS = {
+  large_airport: "LARGE",
+  medium_airport: "MEDIUM",
+  small_airport: "SMALL",
+  heliport: "HELIPORT",
+  seaplane_base: "SEAPLANE",
+  balloonport: "BALLOON",
+  closed: "CLOSED"
+};
+
+function airportTypeLabel(type) {
+  return AIRPORT_TYPE_LABELS[type] || "AIRPORT";
+}
+
+/* airports.tsv lists every ident and name; Airport_Details.tsv adds type, position,
+   elevation, IATA code and city from OurAirports (same column names). The few idents
+   it does not cover stay name-only. */
+function buildAirportMaps(rows, detailRows = []) {
   airportByIdent = new Map();
+  airportByIata = new Map();
   airportSearchIndex = [];
 
+  const details = new Map();
+  for (const d of detailRows) {
+    const ident = norm(d.ident).toUpperCase();
+    if (ident && !details.has(ident)) details.set(ident, d);
+  }
+
   for (const r of rows) {
     const ident = norm(r.ident).toUpperCase();
     if (!ident) continue;
 
-    const obj = { KIND: "AIRPORT", IDENT: ident, NAME: norm(r.name) };
+    const d = details.get(ident) || {};
+    const lat = toNumberOrNaN(d.latitude_deg);
+    const lon = toNumberOrNaN(d.longitude_deg);
+    const hasPos = Number.isFinite(lat) && Number.isFinite(lon);
+    const brgTrue = hasPos ? bearingDeg(KLGA_LAT, KLGA_LON, lat, lon) : NaN;
+    const type = norm(d.type).toLowerCase();
+    const name = norm(r.name);
+
+    const obj = {
+      KIND: "AIRPORT",
+      IDENT: ident,
+      NAME: name,
+      TYPE: type,
+      HAS_DETAILS: details.has(ident),
+      // without details the name is the only hint, and only the heliport filter uses it
+      HELI: type ? type === "heliport" : /\b(HELIPORT|HELISTOP|HELIPAD)\b/i.test(name),
+      LAT: lat,
+      LON: lon,
+      ELEV_FT: toNumberOrNaN(d.elevation_ft),
+      IATA: norm(d.iata_code).toUpperCase(),
+      MUNICIPALITY: norm(d.municipality),
+      DIST_NM: hasPos ? haversineNM(KLGA_LAT, KLGA_LON, lat, lon) : Infinity,
+      BRG_TRUE: brgTrue,
+      BRG_MAG: hasPos ? trueToMagnetic(brgTrue) : NaN
+    };
     if (!airportByIdent.has(ident)) airportByIdent.set(ident, obj);
+    if (obj.IATA && !airportByIata.has(obj.IATA)) airportByIata.set(obj.IATA, obj);
 
-    const key = `${obj.IDENT} ${obj.NAME} AIRPORT APT HELIPORT`.toUpperCase();
+    const key = `${obj.IDENT} ${obj.IATA} ${obj.NAME} ${obj.MUNICIPALITY} ${airportTypeLabel(obj.TYPE)} AIRPORT APT`.toUpperCase();
     airportSearchIndex.push({ ...obj, key });
   }
 
@@ -288,11 +408,52 @@ function setAirportInfoText(obj) {
   if (!info) return;
   if (!obj) return setInfoDefault();
 
+  if (!obj.HAS_DETAILS) {
+    info.textContent =
+      `KIND:  AIRPORT\n` +
+      `IDENT: ${obj.IDENT}\n` +
+      `NAME:  ${obj.NAME || "(unknown)"}\n` +
+      `DATA:  name only (not in Airport_Details.tsv)`;
+    return;
+  }
+
+  const hasPos = Number.isFinite(obj.LAT) && Number.isFinite(obj.LON);
+  const fromStr = hasPos
+    ? `${obj.DIST_NM.toFixed(1)} NM / ${formatBearing(obj.BRG_TRUE)}°T ${formatBearing(obj.BRG_MAG)}°M (from KLGA)`
+    : "(unknown)";
+
   info.textContent =
     `KIND:  AIRPORT\n` +
+    `IDENT: ${obj.IDENT}${obj.IATA ? ` (${obj.IATA})` : ""}\n` +
+    `TYPE:  ${airportTypeLabel(obj.TYPE)}\n` +
+    `NAME:  ${obj.NAME || "(unknown)"}\n` +
+    `CITY:  ${obj.MUNICIPALITY || "(unknown)"}\n` +
+    `ELEV:  ${Number.isFinite(obj.ELEV_FT) ? `${obj.ELEV_FT} FT` : "(unknown)"}\n` +
+    `LAT:   ${hasPos ? obj.LAT.toFixed(6) : "(unknown)"}\n` +
+    `LON:   ${hasPos ? obj.LON.toFixed(6) : "(unknown)"}\n` +
+    `DIST:  ${fromStr}`;
+}
+
+function setFixInfoText(obj) {
+  const info = document.getElementById("navaidInfo");
+  if (!info) return;
+  if (!obj) return setInfoDefault();
+
+  const hasPos = Number.isFinite(obj.LAT) && Number.isFinite(obj.LON);
+  const latStr = hasPos ? obj.LAT.toFixed(6) : "(unknown)";
+  const lonStr = hasPos ? obj.LON.toFixed(6) : "(unknown)";
+  const fromStr = hasPos
+    ? `${obj.DIST_NM.toFixed(1)} NM / ${formatBearing(obj.BRG_TRUE)}°T ${formatBearing(obj.BRG_MAG)}°M (from KLGA)`
+    : "(unknown)";
+
+  info.textContent =
+    `KIND:  FIX\n` +
     `IDENT: ${obj.IDENT}\n` +
-    `TYPE:  AIRPORT\n` +
-    `NAME:  ${obj.NAME || "(unknown)"}`;
+    `TYPE:  ${obj.TYPE || "(unknown)"}\n` +
+    `DEF:   ${obj.DEFINED_BY || "-"}\n` +
+    `LAT:   ${latStr}\n` +
+    `LON:   ${lonStr}\n` +
+    `DIST:  ${fromStr}`;
 }
 
 function renderOverlaps(ident, selectedIndex = 0) {
@@ -344,6 +505,20 @@ function selectNavaid(ident, idx = 0) {
   const safeIdx = Math.max(0, Math.min(Number(idx) || 0, list.length - 1));
   setNavaidInfoText(list[safeIdx]);
   renderOverlaps(key, safeIdx);
+  renderFrequencyView(list[safeIdx]);
+}
+
+function selectFix(ident) {
+  const key = norm(ident).toUpperCase();
+  const fix = fixByIdent.get(key);
+  setFixInfoText(fix || { IDENT: key, LAT: NaN, LON: NaN });
+  setOverlapsBlank();
+
+  if (fix && Number.isFinite(fix.LAT) && Number.isFinite(fix.LON)) {
+    const input = document.getElementById("frdInput");
+    if (input) input.value = key;
+    renderFrdResult(`FIX: ${key}`, fix.LAT, fix.LON, frdFromPoint(fix.LAT, fix.LON));
+  }
 }
 
 function selectAirport(ident) {
@@ -353,45 +528,249 @@ function selectAirport(ident) {
   setOverlapsBlank();
 }
 
-function renderUnifiedSearch(q) {
-  const resultsEl = document.getElementById("navaidResults");
-  if (!resultsEl) return;
+/* SEARCH ENGINE
+   Navaids, fixes and airports share one token index that lives in a Web Worker.
+   The engine functions below are self-contained so the same source runs in the
+   worker (built from a Blob) and, when workers are unavailable, on the main thread.
+   Ranking tiers: 0 exact ident or IATA, 1 ident/IATA prefix or whole word (name, type),
+   2 word prefix, 3 substring.
+   Qualifiers: type:VOR  freq:113.1 (MHz) or freq:373 (kHz)  within:50 (NM of KLGA). */
+const SEARCH_RESULT_LIMIT = 50;
+const FREQ_SEARCH_LIMIT = 500;
+
+let searchEntries = [];
+let searchWorker = null;
+let searchEngineIndex = null;
+let searchSeq = 0;
+
+function searchWords(text) {
+  return String(text || "").toUpperCase().split(/[^A-Z0-9]+/g).filter(Boolean);
+}
 
-  const query = norm(q).toUpperCase();
-  if (!query) {
-    resultsEl.innerHTML = "";
-    return;
+function lowerBound(sorted, key) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < key) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function buildSearchEngineIndex(entries) {
+  const identMap = new Map();
+  const tokenMap = new Map();
+  const add = (map, key, id) => {
+    if (!map.has(key)) map.set(key, []);
+    const list = map.get(key);
+    if (list[list.length - 1] !== id) list.push(id);
+  };
+
+  entries.forEach((e, id) => {
+    // an airport's IATA code ranks like its ident, so "PHL" finds KPHL first
+    add(identMap, e.IDENT, id);
+    if (e.IATA && e.IATA !== e.IDENT) add(identMap, e.IATA, id);
+    for (const w of searchWords(e.TEXT)) add(tokenMap, w, id);
+  });
+
+  return {
+    entries,
+    identMap,
+    tokenMap,
+    idents: [...identMap.keys()].sort(),
+    tokens: [...tokenMap.keys()].sort()
+  };
+}
+
+function parseSearchQuery(q) {
+  const quals = {};
+  const words = [];
+  for (const part of String(q || "").toUpperCase().split(/\s+/g).filter(Boolean)) {
+    const m = part.match(/^(TYPE|FREQ|WITHIN):(.+)$/);
+    if (m) quals[m[1].toLowerCase()] = m[2];
+    else words.push(part);
+  }
+
+  let freqKhz = null;
+  if (quals.freq !== undefined) {
+    const f = Number(quals.freq);
+    // 108-137.975 is VHF in MHz; anything else is read as kHz (NDBs)
+    if (Number.isFinite(f)) freqKhz = f >= 100 && f < 140 ? Math.round(f * 1000) : f;
+  }
+
+  const w = Number(quals.within);
+  const within = quals.within !== undefined && Number.isFinite(w) ? w : null;
+
+  return {
+    words,
+    type: quals.type || null,
+    freqKhz,
+    within,
+    bad: (quals.freq !== undefined && freqKhz === null) || (quals.within !== undefined && within === null)
+  };
+}
+
+/* tier per entry id for one query word */
+function searchWordTiers(index, word) {
+  const tiers = new Map();
+  const setTier = (id, tier) => {
+    if (!tiers.has(id) || tiers.get(id) > tier) tiers.set(id, tier);
+  };
+
+  for (let i = lowerBound(index.idents, word); i < index.idents.length && index.idents[i].startsWith(word); i++) {
+    const ident = index.idents[i];
+    for (const id of index.identMap.get(ident)) setTier(id, ident === word ? 0 : 1);
+  }
+
+  // a whole-word match ("VOR") ranks with ident prefixes; a word prefix ranks below
+  for (let i = lowerBound(index.tokens, word); i < index.tokens.length && index.tokens[i].startsWith(word); i++) {
+    for (const id of index.tokenMap.get(index.tokens[i])) setTier(id, index.tokens[i] === word ? 1 : 2);
+  }
+
+  if (word.length >= 3 && tiers.size < 500) {
+    index.entries.forEach((e, id) => {
+      if (!tiers.has(id) && e.KEY.includes(word)) tiers.set(id, 3);
+    });
   }
 
-  const hits = [];
-  for (const v of navaidSearchIndex) {
-    if (v.key.includes(query)) {
-      hits.push(v);
-      if (hits.length >= 50) break;
+  return tiers;
+}
+
+function runSearchEngine(index, q, opts = {}) {
+  const query = parseSearchQuery(q);
+  if (query.bad) return { ids: [], total: 0, error: "Bad qualifier value" };
+
+  const passes = (e) => {
+    if (opts.hideHeli && e.KIND === "AIRPORT" && e.HELI) return false;
+    // type:VOR also matches VOR-DME and VORTAC
+    if (query.type && !e.TYPES.some(t => t.startsWith(query.type))) return false;
+    if (query.freqKhz !== null && !(Math.abs(e.FREQ_KHZ - query.freqKhz) < 1)) return false;
+    if (query.within !== null && !(e.DIST_NM <= query.within)) return false;
+    return true;
+  };
+
+  let scored = null;
+  for (const word of query.words) {
+    const tiers = searchWordTiers(index, word);
+    if (!scored) {
+      scored = tiers;
+      continue;
     }
+    const next = new Map();
+    for (const [id, tier] of scored) {
+      if (tiers.has(id)) next.set(id, Math.max(tier, tiers.get(id)));
+    }
+    scored = next;
   }
 
-  if (hits.length < 50) {
-    for (const a of airportSearchIndex) {
-      if (a.key.includes(query)) {
-        hits.push(a);
-        if (hits.length >= 50) break;
-      }
+  let hits;
+  if (scored) {
+    hits = [...scored].filter(([id]) => passes(index.entries[id])).map(([id, tier]) => ({ id, tier }));
+  } else {
+    // qualifiers only: every entry that passes, nearest first
+    hits = [];
+    index.entries.forEach((e, id) => { if (passes(e)) hits.push({ id, tier: 0 }); });
+  }
+
+  const dist = (h) => index.entries[h.id].DIST_NM;
+  const ident = (h) => index.entries[h.id].IDENT;
+  hits.sort((a, b) =>
+    (opts.byDistance ? 0 : a.tier - b.tier) ||
+    (dist(a) - dist(b)) ||
+    ident(a).localeCompare(ident(b))
+  );
+
+  return { ids: hits.slice(0, opts.limit || 50).map(h => h.id), total: hits.length };
+}
+
+function searchWorkerMain() {
+  let index = null;
+  self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.kind === "index") index = buildSearchEngineIndex(msg.entries);
+    else if (msg.kind === "query" && index) {
+      self.postMessage({ seq: msg.seq, ...runSearchEngine(index, msg.q, msg.opts) });
     }
+  };
+}
+
+function buildSearchEntries() {
+  const entry = (v) => {
+    const typeLabel = v.KIND === "AIRPORT" ? airportTypeLabel(v.TYPE) : v.TYPE;
+    const text = [v.NAME, v.IATA, v.MUNICIPALITY, v.DEFINED_BY, typeLabel, v.KIND].filter(Boolean).join(" ");
+    return {
+      KIND: v.KIND,
+      IDENT: v.IDENT,
+      IATA: v.IATA || "",
+      TYPE: v.TYPE || "",
+      HELI: !!v.HELI,
+      TYPES: [v.KIND, String(v.TYPE || "").toUpperCase(), typeLabel, ...(v.KIND === "AIRPORT" ? ["APT"] : [])],
+      FREQ_KHZ: v.KIND === "NAVAID" ? toNumberOrNaN(v.FREQ_RAW) : NaN,
+      DIST_NM: v.DIST_NM,
+      TEXT: text,
+      KEY: `${v.IDENT} ${text}`.toUpperCase()
+    };
+  };
+
+  searchEntries = [...navaidSearchIndex, ...fixSearchIndex, ...airportSearchIndex];
+  return searchEntries.map(entry);
+}
+
+function startSearchEngine() {
+  const entries = buildSearchEntries();
+  searchEngineIndex = null;
+  searchWorker?.terminate();
+  searchWorker = null;
+
+  try {
+    const src = [
+      searchWords, lowerBound, buildSearchEngineIndex, parseSearchQuery,
+      searchWordTiers, runSearchEngine, searchWorkerMain
+    ].map(fn => fn.toString()).join("\n") + "\nsearchWorkerMain();";
+    const url = URL.createObjectURL(new Blob([src], { type: "text/javascript" }));
+    searchWorker = new Worker(url);
+    searchWorker.onmessage = (e) => {
+      if (e.data.seq === searchSeq) renderSearchResults(e.data);
+    };
+    searchWorker.onerror = () => {
+      // e.g. a CSP that forbids blob: workers; fall back to the main thread
+      searchWorker = null;
+      searchEngineIndex = buildSearchEngineIndex(entries);
+    };
+    searchWorker.postMessage({ kind: "index", entries });
+  } catch {
+    searchWorker = null;
+    searchEngineIndex = buildSearchEngineIndex(entries);
+  }
+}
+
+function renderSearchResults(res) {
+  const resultsEl = document.getElementById("navaidResults");
+  if (!resultsEl) return;
+
+  if (res.error) {
+    resultsEl.innerHTML = `<div class="console" style="min-height:auto;">${escHtml(res.error)}.</div>`;
+    return;
   }
 
+  const hits = res.ids.map(id => searchEntries[id]).filter(Boolean);
   if (!hits.length) {
     resultsEl.innerHTML = `<div class="console" style="min-height:auto;">No matches.</div>`;
     return;
   }
 
+  const more = res.total > hits.length
+    ? `<div class="navaidResultsMore">${hits.length} of ${res.total} matches</div>`
+    : "";
+
   resultsEl.innerHTML = hits.map(v => {
     const kind = v.KIND;
-    const typeLabel = kind === "NAVAID" ? (v.TYPE || "-") : "AIRPORT";
-    const nameLabel = v.NAME || "-";
+    const typeLabel = kind === "AIRPORT" ? airportTypeLabel(v.TYPE) : (v.TYPE || "-");
+    const nameLabel = kind === "FIX" ? (v.DEFINED_BY || "FIX") : (v.NAME || "-");
 
     const distLabel =
-      kind === "NAVAID" && Number.isFinite(v.DIST_NM) && v.DIST_NM !== Infinity
+      Number.isFinite(v.DIST_NM) && v.DIST_NM !== Infinity
         ? `${v.DIST_NM.toFixed(1)} NM`
         : (kind === "AIRPORT" ? "APT" : "—");
 
@@ -403,7 +782,35 @@ function renderUnifiedSearch(q) {
         <div class="cellDist">${escHtml(distLabel)}</div>
       </div>
     `;
-  }).join("");
+  }).join("") + more;
+}
+
+function renderUnifiedSearch(q) {
+  const resultsEl = document.getElementById("navaidResults");
+  if (!resultsEl) return;
+
+  const query = norm(q).toUpperCase();
+  searchSeq++;
+  if (!query) {
+    resultsEl.innerHTML = "";
+    return;
+  }
+
+  // FREQ mode: the whole input is a frequency, every navaid on it, nearest first
+  const freqMode = document.getElementById("navaidMode")?.value === "FREQ";
+  const text = freqMode ? `FREQ:${query.replace(/\s*(MHZ|KHZ)$/, "")}` : query;
+
+  const opts = {
+    byDistance: freqMode || document.getElementById("navaidSort")?.value === "DIST",
+    hideHeli: !!document.getElementById("navaidHideHeli")?.checked,
+    limit: freqMode ? FREQ_SEARCH_LIMIT : SEARCH_RESULT_LIMIT
+  };
+
+  if (searchWorker) {
+    searchWorker.postMessage({ kind: "query", seq: searchSeq, q: text, opts });
+  } else if (searchEngineIndex) {
+    renderSearchResults(runSearchEngine(searchEngineIndex, text, opts));
+  }
 }
 
 function wireUnifiedPanelClicks() {
@@ -416,6 +823,10 @@ function wireUnifiedPanelClicks() {
 
   if (search) search.addEventListener("input", () => renderUnifiedSearch(search.value));
 
+  for (const id of ["navaidMode", "navaidSort", "navaidHideHeli"]) {
+    document.getElementById(id)?.addEventListener("change", () => renderUnifiedSearch(search?.value ?? ""));
+  }
+
   if (results) {
     results.addEventListener("click", (e) => {
       const row = e.target.closest(".navaidRow");
@@ -425,6 +836,7 @@ function wireUnifiedPanelClicks() {
       const ident = row.getAttribute("data-ident");
 
       if (kind === "AIRPORT") selectAirport(ident);
+      else if (kind === "FIX") selectFix(ident);
       else selectNavaid(ident, 0);
     });
   }
@@ -446,6 +858,11 @@ function wireUnifiedPanelClicks() {
       selectNavaid(ident, 0);
       return;
     }
+    const fix = e.target.closest(".fixToken");
+    if (fix) {
+      selectFix(fix.getAttribute("data-fix"));
+      return;
+    }
     const apt = e.target.closest(".airportToken");
     if (apt) {
       const ident = apt.getAttribute("data-airport");
@@ -454,109 +871,933 @@ function wireUnifiedPanelClicks() {
   });
 }
 
-function renderRouteWithLinks(routeStr) {
-  const rawTokens = norm(routeStr).split(/\s+/g).filter(Boolean);
-
-  const displayTokens = rawTokens.map(tok => {
-    const key = tok.toUpperCase();
-
-    if (navaidByIdent.has(key)) {
-      return `<span class="navaidToken" data-navaid="${escHtml(key)}">${escHtml(key)}</span>`;
-    }
-    if (airportByIdent.has(key)) {
-      return `<span class="airportToken" data-airport="${escHtml(key)}">${escHtml(key)}</span>`;
-    }
-    return escHtml(tok);
-  });
+/* FRD (FIX / RADIAL / DISTANCE)
+   "CMK 123/45" (or CMK123045) -> position; a position, fix or airport -> FRD off
+   the nearest VOR-type navaid. Radials are magnetic using KLGA_MAG_VAR_DEG, which is
+   only close enough near New York, so FRD uses navaids within FRD_MAX_RANGE_NM of KLGA. */
+const FRD_NAVAID_TYPES = new Set(["VOR", "VOR-DME", "VORTAC"]);
+const FRD_MAX_RANGE_NM = 150;
 
-  return displayTokens.join(".");
+function isFrdNavaid(n) {
+  return FRD_NAVAID_TYPES.has(n.TYPE) && Number.isFinite(n.LAT) && Number.isFinite(n.LON) && n.DIST_NM <= FRD_MAX_RANGE_NM;
 }
 
-/* ROUTES */
-function renderRoutesTable(rows) {
-  if (!rows.length) return `<div class="console" style="min-height:auto;">No routes found.</div>`;
+/* point reached from (lat, lon) along a true course for distNm, great-circle */
+function destinationPoint(lat, lon, brgTrue, distNm) {
+  const toRad = deg => deg * Math.PI / 180;
+  const toDeg = rad => rad * 180 / Math.PI;
 
-  const header = `
-    <table class="routesTable">
-      <thead>
-        <tr>
-          <th>Route</th>
-          <th>Type</th>
-          <th>Aircraft</th>
-          <th>Nav</th>
-          <th>Altitude</th>
-        </tr>
-      </thead>
-      <tbody>
-  `;
+  const d = distNm / 3440.065;
+  const th = toRad(brgTrue);
+  const p1 = toRad(lat);
+  const l1 = toRad(lon);
 
-  const body = rows.map(r => {
-    const routeHtml = renderRouteWithLinks(r.Route);
-    return `
-      <tr>
-        <td>${routeHtml}</td>
-        <td>${escHtml(r.Type || "-")}</td>
-        <td>${escHtml(r.Aircraft || "-")}</td>
-        <td>${escHtml(r.Nav || "-")}</td>
-        <td>${escHtml(r.Altitude || "-")}</td>
-      </tr>
-    `;
-  }).join("");
+  const p2 = Math.asin(Math.sin(p1) * Math.cos(d) + Math.cos(p1) * Math.sin(d) * Math.cos(th));
+  const l2 = l1 + Math.atan2(
+    Math.sin(th) * Math.sin(d) * Math.cos(p1),
+    Math.cos(d) - Math.sin(p1) * Math.sin(p2)
+  );
 
-  return header + body + `</tbody></table>`;
+  return { lat: toDeg(p2), lon: ((toDeg(l2) + 540) % 360) - 180 };
 }
 
-/* MATCHING */
-function matchAirspace(ruleVal, inputVal) {
-  const r = norm(ruleVal);
-  const v = norm(inputVal);
+function parseFrd(text) {
+  const t = norm(text).toUpperCase();
+  const m =
+    t.match(/^([A-Z0-9]{2,5})\s*R?-?(\d{1,3})\s*\/\s*(\d{1,3}(?:\.\d+)?)$/) ||
+    t.match(/^([A-Z]{2,3})(\d{3})(\d{3})$/);
+  if (!m) return null;
+
+  const radial = Number(m[2]);
+  const dme = Number(m[3]);
+  if (radial < 1 || radial > 360 || !Number.isFinite(dme)) return null;
+  return { ident: m[1], radial, dme };
+}
 
-  if (r === "*" || r === "") return true;
-  if (v === "") return false;
+function parseLatLon(text) {
+  const m = norm(text).match(/^(-?\d{1,2}(?:\.\d+)?)\s*[, ]\s*(-?\d{1,3}(?:\.\d+)?)$/);
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lon = Number(m[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
 
-  const V = v.toUpperCase();
-  const reqParts = r.toUpperCase().split(/\s*\+\s*|\s*,\s*|\s*&\s*/g).map(s => s.trim()).filter(Boolean);
-  return reqParts.every(part => V.includes(part));
+function frdNavaidCandidates(ident) {
+  return (navaidByIdent.get(norm(ident).toUpperCase()) || []).filter(isFrdNavaid);
 }
 
-function matchField(ruleVal, inputVal) {
-  const r = norm(ruleVal);
-  const v = norm(inputVal);
+/* lat/lon for "CMK 123/45"; with duplicate idents the navaid nearest KLGA wins */
+function positionFromFrd(frd) {
+  const nav = frdNavaidCandidates(frd.ident)[0];
+  if (!nav) return null;
+  const brgTrue = (frd.radial + KLGA_MAG_VAR_DEG + 360) % 360;
+  return { ...destinationPoint(nav.LAT, nav.LON, brgTrue, frd.dme), navaid: nav };
+}
 
-  if (r === "*" || r === "") return true;
-  if (v === "") return false;
+function nearestFrdNavaid(lat, lon) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const n of navaidSearchIndex) {
+    if (!isFrdNavaid(n)) continue;
+    const d = haversineNM(n.LAT, n.LON, lat, lon);
+    if (d < bestDist) { best = n; bestDist = d; }
+  }
+  return best;
+}
 
-  return r.toUpperCase() === v.toUpperCase();
+function frdFromPoint(lat, lon) {
+  const nav = nearestFrdNavaid(lat, lon);
+  if (!nav) return null;
+
+  const dist = haversineNM(nav.LAT, nav.LON, lat, lon);
+  if (dist > FRD_MAX_RANGE_NM) return null;
+  const radial = dist < 0.05 ? 360 : Number(formatBearing(trueToMagnetic(bearingDeg(nav.LAT, nav.LON, lat, lon))));
+  return {
+    navaid: nav,
+    radial,
+    dme: dist,
+    text: `${nav.IDENT}${String(radial).padStart(3, "0")}${String(Math.round(dist)).padStart(3, "0")}`
+  };
 }
 
-/* DATA */
-let lgaConfigRows = [];
-let jfkConfigRows = [];
-let gatesRows = [];
-let depRulesRows = [];
-let routesRows = [];
+function nearestToPoint(lat, lon, limit = 5) {
+  const pick = (list) => list
+    .filter(v => Number.isFinite(v.LAT) && Number.isFinite(v.LON) && !v.HELI)
+    .map(v => ({ v, d: haversineNM(lat, lon, v.LAT, v.LON), b: trueToMagnetic(bearingDeg(lat, lon, v.LAT, v.LON)) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, limit);
 
-/* WX */
-const WX_STORAGE_KEY = "ids4_wx_watchlist_v2";
-let wxWatchlist = [];
+  return { navaids: pick(navaidSearchIndex), airports: pick(airportSearchIndex) };
+}
 
-function loadWxWatchlist() {
-  try {
-    const raw = localStorage.getItem(WX_STORAGE_KEY);
-    const arr = raw ? JSON.parse(raw) : [];
-    if (Array.isArray(arr)) wxWatchlist = arr.map(x => norm(x).toUpperCase()).filter(Boolean);
-    else wxWatchlist = [];
-  } catch { wxWatchlist = []; }
-  if (!wxWatchlist.length) wxWatchlist = ["KLGA", "KJFK", "KEWR", "KTEB"];
+function formatLatLon(lat, lon) {
+  return `${lat.toFixed(5)} ${lon.toFixed(5)}`;
 }
 
-function saveWxWatchlist() {
-  localStorage.setItem(WX_STORAGE_KEY, JSON.stringify(wxWatchlist));
+function renderFrdResult(title, lat, lon, frd) {
+  const out = document.getElementById("frdOut");
+  if (!out) return;
+
+  const near = nearestToPoint(lat, lon);
+  const line = ({ v, d, b }) => `  ${v.IDENT.padEnd(7)} ${(v.KIND === "AIRPORT" ? airportTypeLabel(v.TYPE) : v.TYPE).padEnd(8)} ${d.toFixed(1).padStart(6)} NM ${formatBearing(b)}°M`;
+
+  out.textContent = [
+    title,
+    `POS:  ${formatLatLon(lat, lon)}`,
+    frd ? `FRD:  ${frd.text}  (${frd.navaid.IDENT} ${frd.navaid.TYPE} R-${String(frd.radial).padStart(3, "0")} / ${frd.dme.toFixed(1)} DME)` : `FRD:  (outside the local FRD area, ${FRD_MAX_RANGE_NM} NM around KLGA)`,
+    "",
+    "NEAREST NAVAIDS (brg from point)",
+    ...near.navaids.map(line),
+    "NEAREST AIRPORTS",
+    ...near.airports.map(line)
+  ].join("\n");
 }
 
-function renderWxChips() {
-  const wrap = document.getElementById("wxChips");
-  if (!wrap) return;
+function runFrdTool(text) {
+  const out = document.getElementById("frdOut");
+  const q = norm(text).toUpperCase();
+  if (!q) {
+    if (out) out.textContent = "";
+    return;
+  }
+
+  const frd = parseFrd(q);
+  if (frd) {
+    const pos = positionFromFrd(frd);
+    if (!pos) {
+      if (out) out.textContent = `No VOR/VOR-DME/VORTAC named ${frd.ident} within ${FRD_MAX_RANGE_NM} NM of KLGA in NAVAID data.`;
+      return;
+    }
+    return renderFrdResult(`INPUT: ${frd.ident} ${String(frd.radial).padStart(3, "0")}/${frd.dme}`, pos.lat, pos.lon, frdFromPoint(pos.lat, pos.lon));
+  }
+
+  const ll = parseLatLon(q);
+  const named = ll ? null : (fixByIdent.get(q) || airportByIdent.get(q) || navaidByIdent.get(q)?.[0] || null);
+  const pos = ll || (named && Number.isFinite(named.LAT) ? { lat: named.LAT, lon: named.LON } : null);
+
+  if (!pos) {
+    if (out) out.textContent = `Can't read "${q}". Use CMK 123/45, CMK123045, a lat/lon (40.77 -73.87) or a fix/airport ident.`;
+    return;
+  }
+  renderFrdResult(`INPUT: ${q}`, pos.lat, pos.lon, frdFromPoint(pos.lat, pos.lon));
+}
+
+function wireFrdTool() {
+  const input = document.getElementById("frdInput");
+  const btn = document.getElementById("frdBtn");
+  if (!input) return;
+
+  btn?.addEventListener("click", () => runFrdTool(input.value));
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") runFrdTool(input.value);
+  });
+}
+
+/* FREQUENCY CONFLICTS
+   Co-channel and adjacent-channel navaids within a radius of KLGA, for the
+   selected navaid. VHF channels are 50 kHz apart; LF/MF (NDB) uses a 5 kHz window. */
+const FREQ_ADJ_VHF_KHZ = 50;
+const FREQ_ADJ_LF_KHZ = 5;
+const FREQ_RADIUS_DEFAULT_NM = 150;
+
+let freqSelectedNavaid = null;
+
+function freqAdjacencyKhz(khz) {
+  return khz >= 100000 ? FREQ_ADJ_VHF_KHZ : FREQ_ADJ_LF_KHZ;
+}
+
+function sameNavaid(a, b) {
+  return a.IDENT === b.IDENT && a.TYPE === b.TYPE && a.LAT === b.LAT && a.LON === b.LON;
+}
+
+function navaidListIndex(v) {
+  return Math.max(0, (navaidByIdent.get(v.IDENT) || []).findIndex(n => sameNavaid(n, v)));
+}
+
+function findFrequencyNeighbors(nav, radiusNm) {
+  const khz = toNumberOrNaN(nav.FREQ_RAW);
+  if (!Number.isFinite(khz)) return null;
+
+  const spacing = freqAdjacencyKhz(khz);
+  const hasPos = Number.isFinite(nav.LAT) && Number.isFinite(nav.LON);
+  const co = [];
+  const adj = [];
+
+  for (const n of navaidSearchIndex) {
+    if (!(n.DIST_NM <= radiusNm) || sameNavaid(n, nav)) continue;
+    const f = toNumberOrNaN(n.FREQ_RAW);
+    if (!Number.isFinite(f)) continue;
+
+    const delta = f - khz;
+    if (Math.abs(delta) > spacing) continue;
+
+    const row = {
+      navaid: n,
+      deltaKhz: delta,
+      fromSelectedNm: hasPos ? haversineNM(nav.LAT, nav.LON, n.LAT, n.LON) : NaN
+    };
+    (delta === 0 ? co : adj).push(row);
+  }
+
+  const byDist = (a, b) => (a.fromSelectedNm - b.fromSelectedNm) || (a.navaid.DIST_NM - b.navaid.DIST_NM);
+  co.sort(byDist);
+  adj.sort(byDist);
+  return { khz, spacing, co, adj };
+}
+
+function formatFreqDelta(deltaKhz) {
+  if (deltaKhz === 0) return "CO";
+  const sign = deltaKhz > 0 ? "+" : "-";
+  return `${sign}${Math.abs(deltaKhz)} kHz`;
+}
+
+function renderFrequencyView(nav = freqSelectedNavaid) {
+  const out = document.getElementById("freqOut");
+  if (!out) return;
+
+  freqSelectedNavaid = nav;
+  if (!nav) {
+    out.innerHTML = `<div class="console" style="min-height:auto;">Select a navaid.</div>`;
+    return;
+  }
+
+  const radius = Number(document.getElementById("freqRadius")?.value) || FREQ_RADIUS_DEFAULT_NM;
+  const res = findFrequencyNeighbors(nav, radius);
+  if (!res) {
+    out.innerHTML = `<div class="console" style="min-height:auto;">${escHtml(nav.IDENT)} has no frequency in NAVAID data.</div>`;
+    return;
+  }
+
+  const row = (r) => `
+    <div class="freqRow" data-ident="${escHtml(r.navaid.IDENT)}" data-idx="${navaidListIndex(r.navaid)}">
+      <div class="ovIdent">${escHtml(r.navaid.IDENT)}</div>
+      <div class="ovType">${escHtml(r.navaid.TYPE || "-")}</div>
+      <div class="ovName">${escHtml(r.navaid.FREQ_DISPLAY)} · ${escHtml(formatFreqDelta(r.deltaKhz))}</div>
+      <div class="ovDist">${Number.isFinite(r.fromSelectedNm) ? `${r.fromSelectedNm.toFixed(1)} NM` : "—"}</div>
+      <div class="ovDist">${r.navaid.DIST_NM.toFixed(1)} NM</div>
+    </div>
+  `;
+  const block = (title, rows) => `
+    <div class="freqBlockTitle">${escHtml(title)} (${rows.length})</div>
+    ${rows.length ? rows.map(row).join("") : `<div class="freqNone">none</div>`}
+  `;
+
+  out.innerHTML = `
+    <div class="freqHead">${escHtml(nav.IDENT)} ${escHtml(nav.TYPE)} ${escHtml(nav.FREQ_DISPLAY)} · within ${radius} NM of KLGA · ±${res.spacing} kHz</div>
+    <div class="freqRow freqRowHead"><div>IDENT</div><div>TYPE</div><div>FREQ</div><div>FROM ${escHtml(nav.IDENT)}</div><div>FROM KLGA</div></div>
+    ${block("CO-CHANNEL", res.co)}
+    ${block("ADJACENT", res.adj)}
+  `;
+}
+
+function wireFrequencyView() {
+  const out = document.getElementById("freqOut");
+  const radius = document.getElementById("freqRadius");
+  if (radius && !radius.value) radius.value = String(FREQ_RADIUS_DEFAULT_NM);
+
+  radius?.addEventListener("change", () => renderFrequencyView());
+
+  out?.addEventListener("click", (e) => {
+    const row = e.target.closest(".freqRow[data-ident]");
+    if (!row) return;
+    selectNavaid(row.getAttribute("data-ident"), row.getAttribute("data-idx"));
+  });
+
+  renderFrequencyView(null);
+}
+
+function renderRouteWithLinks(routeStr, highlightIdx = null) {
+  const rawTokens = norm(routeStr).split(/\s+/g).filter(Boolean);
+
+  const displayTokens = rawTokens.map((tok, idx) => {
+    const key = tok.toUpperCase();
+    let html = escHtml(tok);
+
+    if (navaidByIdent.has(key)) {
+      html = `<span class="navaidToken" data-navaid="${escHtml(key)}">${escHtml(key)}</span>`;
+    } else if (fixByIdent.has(key)) {
+      html = `<span class="fixToken" data-fix="${escHtml(key)}">${escHtml(key)}</span>`;
+    } else if (airportByIdent.has(key)) {
+      html = `<span class="airportToken" data-airport="${escHtml(key)}">${escHtml(key)}</span>`;
+    } else if (airwayByIdent.has(key)) {
+      html = `<span class="airwayToken" title="${escHtml(airwayByIdent.get(key).join(" "))}">${escHtml(key)}</span>`;
+    }
+
+    return highlightIdx && highlightIdx.has(idx) ? `<span class="rerouteToken">${html}</span>` : html;
+  });
+
+  return displayTokens.join(".");
+}
+
+/* REROUTES
+   NOTES like "REROUTE: DIXIE -> JFK" become token substitutions on PRD routes.
+   Several directives may be separated by ";", and either side may be more than one token. */
+function rerouteNotes(notes) {
+  return norm(notes).split(/\s*;\s*/g).filter(n => /^REROUTE\b/i.test(n));
+}
+
+function parseRerouteDirectives(notes) {
+  return rerouteNotes(notes).map(text => {
+    const m = text.match(/^REROUTE:?\s*(.+?)\s*->\s*(.+)$/i);
+    if (!m) return null;
+    const from = m[1].toUpperCase().split(/\s+/g).filter(Boolean);
+    const to = m[2].toUpperCase().split(/\s+/g).filter(Boolean);
+    return from.length ? { text, from, to } : null;
+  }).filter(Boolean);
+}
+
+function applyReroutes(routeStr, reroutes) {
+  let tokens = norm(routeStr).split(/\s+/g).filter(Boolean)
+    .map(tok => ({ tok, replaced: false }));
+  const applied = [];
+
+  for (const rr of reroutes) {
+    const out = [];
+    let hit = false;
+    for (let i = 0; i < tokens.length;) {
+      const isMatch = rr.from.every((f, k) => (tokens[i + k]?.tok ?? "").toUpperCase() === f);
+      if (isMatch) {
+        out.push(...rr.to.map(tok => ({ tok, replaced: true })));
+        i += rr.from.length;
+        hit = true;
+      } else {
+        out.push(tokens[i]);
+        i++;
+      }
+    }
+    tokens = out;
+    if (hit) applied.push(rr);
+  }
+
+  const highlight = new Set();
+  tokens.forEach((t, idx) => { if (t.replaced) highlight.add(idx); });
+
+  return { route: tokens.map(t => t.tok).join(" "), highlight, applied };
+}
+
+/* FILED ROUTE COMPLIANCE
+   Tokenized like renderRouteWithLinks. DCT, a leading SID and a trailing
+   destination are dropped before comparing against each PRD row. */
+function routeTokens(routeStr) {
+  return norm(routeStr).toUpperCase().split(/\s+/g).filter(Boolean);
+}
+
+function filedRouteCoreTokens(routeStr, dest = "") {
+  const d = norm(dest).toUpperCase();
+  const toks = routeTokens(routeStr).filter(t => t !== "DCT");
+  if (toks.length && (/#$/.test(toks[0]) || getSidInfo(toks[0]).sid) && !getGateDirection(toks[0])) toks.shift();
+  if (toks.length && d && toks[toks.length - 1] === d) toks.pop();
+  return toks;
+}
+
+/* token LCS; each side comes back as [{ tok, same }] */
+function diffRouteTokens(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  const left = [];
+  const right = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      left.push({ tok: a[i++], same: true });
+      right.push({ tok: b[j++], same: true });
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      left.push({ tok: a[i++], same: false });
+    } else {
+      right.push({ tok: b[j++], same: false });
+    }
+  }
+  while (i < a.length) left.push({ tok: a[i++], same: false });
+  while (j < b.length) right.push({ tok: b[j++], same: false });
+
+  return { common: dp[0][0], left, right };
+}
+
+function checkRouteCompliance(filedRoute, routes, dest = "") {
+  const filed = filedRouteCoreTokens(filedRoute, dest);
+  if (!filed.length) return { status: "NO ROUTE", best: null };
+  if (!routes.length) return { status: "NO PRD", best: null };
+
+  let best = null;
+  for (const r of routes) {
+    const prdRoute = r.AMENDED ? r.AMENDED.route : r.Route;
+    const prd = routeTokens(prdRoute);
+    const d = diffRouteTokens(filed, prd);
+    const score = prd.length + filed.length ? (2 * d.common) / (prd.length + filed.length) : 0;
+    const cand = { row: r, prdRoute, score, filedDiff: d.left, prdDiff: d.right, common: d.common };
+
+    const better = !best ||
+      score > best.score ||
+      (score === best.score && best.row.INELIGIBLE && !r.INELIGIBLE);
+    if (better) best = cand;
+  }
+
+  let status = "NONE";
+  if (best.score === 1) status = "EXACT";
+  else if (best.common > 0) status = "PARTIAL";
+
+  return { status, best };
+}
+
+function renderRouteDiffHtml(diff) {
+  return diff.map(t => t.same
+    ? escHtml(t.tok)
+    : `<span class="routeDiff">${escHtml(t.tok)}</span>`
+  ).join(".");
+}
+
+function renderRouteComplianceHtml(result) {
+  if (result.status === "NO ROUTE") return `<div class="console" style="min-height:auto;">Enter a filed route to check it against PRD.</div>`;
+  if (result.status === "NO PRD") return `<div class="console" style="min-height:auto;">No PRD routes to check against.</div>`;
+
+  const b = result.best;
+  const label = {
+    EXACT: "MATCHES PREFERRED ROUTE",
+    PARTIAL: "PARTIAL MATCH",
+    NONE: "DOES NOT MATCH ANY PRD ROUTE"
+  }[result.status];
+  const inel = b.row.INELIGIBLE ? ` (not eligible: ${escHtml(b.row.INELIGIBLE.join("; "))})` : "";
+
+  return `
+    <div class="console complianceConsole">
+      <div><span class="compliance${escHtml(result.status)}">${escHtml(label)}</span> — closest PRD row ${Math.round(b.score * 100)}%${inel}</div>
+      <div><span class="depLabel">FILED:</span> ${renderRouteDiffHtml(b.filedDiff)}</div>
+      <div><span class="depLabel">PRD:</span>   ${renderRouteDiffHtml(b.prdDiff)}</div>
+      <div class="complianceMeta">${escHtml([b.row.Type, b.row.Aircraft, b.row.Nav, b.row.Altitude].filter(Boolean).join(" • ") || "—")}</div>
+    </div>
+  `;
+}
+
+/* DESTINATION RESOLVER
+   DEST accepts an ICAO ident, a US IATA code ("PHL" -> KPHL) or an airport
+   name fragment. Airports with KLGA PRD routes rank first in suggestions. */
+let prdDestinations = new Set();
+
+function buildPrdDestinations(rows) {
+  prdDestinations = new Set(
+    rows.filter(r => norm(r.Origin).toUpperCase() === "KLGA")
+      .map(r => norm(r.Destination).toUpperCase())
+      .filter(Boolean)
+  );
+}
+
+function airportFromIata(code) {
+  const c = norm(code).toUpperCase();
+  if (!/^[A-Z0-9]{3}$/.test(c)) return null;
+  return airportByIata.get(c) || airportByIdent.get("K" + c) || null;
+}
+
+/* up to `limit` airports for a typeahead; PRD destinations and ident/word prefixes first */
+function suggestAirports(query, limit = 10) {
+  const q = norm(query).toUpperCase();
+  if (!q) return [];
+
+  const seen = new Set();
+  const scored = [];
+  const add = (apt, score) => {
+    if (!apt || seen.has(apt.IDENT)) return;
+    seen.add(apt.IDENT);
+    scored.push({ apt, score: score + (prdDestinations.has(apt.IDENT) ? 1000 : 0) });
+  };
+
+  add(airportByIdent.get(q), 500);
+  add(airportFromIata(q), 400);
+
+  if (q.length >= 2) {
+    for (const a of airportSearchIndex) {
+      const name = a.NAME.toUpperCase();
+      if (a.IDENT.startsWith(q)) add(a, 300);
+      else if (name.split(/[^A-Z0-9]+/).some(w => w.startsWith(q))) add(a, 200);
+      else if (name.includes(q)) add(a, 100);
+    }
+  }
+
+  scored.sort((a, b) => (b.score - a.score) || a.apt.IDENT.localeCompare(b.apt.IDENT));
+  return scored.slice(0, limit).map(x => x.apt);
+}
+
+function resolveDestination(query) {
+  const q = norm(query).toUpperCase();
+  if (!q) return { ident: "", airport: null, how: "", warning: "" };
+
+  let airport = airportByIdent.get(q) || null;
+  let how = airport ? "ICAO" : "";
+  if (!airport) { airport = airportFromIata(q); if (airport) how = "IATA"; }
+  if (!airport) {
+    const hits = suggestAirports(q, 2);
+    // a name fragment only resolves on its own when it is unambiguous or a PRD destination
+    if (hits.length === 1 || (hits.length && prdDestinations.has(hits[0].IDENT))) {
+      airport = hits[0];
+      how = "NAME";
+    }
+  }
+
+  const ident = airport ? airport.IDENT : q;
+  let warning = "";
+  if (!airport) warning = `Unknown destination "${q}"`;
+  else if (!prdDestinations.has(ident)) warning = `${ident} has no PRD entries from KLGA`;
+
+  return { ident, airport, how, warning };
+}
+
+/* PRD FILTERS + RANKING
+   Type AUTO only drops rows whose explicit Type contradicts the requested altitude
+   (TEC/L at or above FL180, H below it); blank-Type rows stay and are ranked by
+   their Altitude column. */
+const PRD_HIGH_ALT_FT = 18000;
+
+/* "FL230", "230" -> 23000; "11000" -> 11000 */
+function parseRequestedAltitude(v) {
+  const s = norm(v).toUpperCase().replace(/,/g, "");
+  const m = s.match(/^(FL)?\s*(\d+)$/);
+  if (!m) return NaN;
+  const n = Number(m[2]);
+  return m[1] || n < 1000 ? n * 100 : n;
+}
+
+/* "11000-15000" -> { min, max }; "5000" -> { min: 5000, max: 5000 } */
+function parsePrdAltitude(v) {
+  const nums = norm(v).split(/\s*-\s*/).map(Number).filter(Number.isFinite);
+  if (!nums.length) return null;
+  return { min: Math.min(...nums), max: Math.max(...nums) };
+}
+
+function prdTypeMatches(rowType, typeFilter) {
+  const t = norm(rowType).toUpperCase();
+  if (!typeFilter || typeFilter === "ALL") return true;
+  if (typeFilter === "HIGH") return t !== "L" && t !== "TEC";
+  if (typeFilter === "LOW") return t !== "H";
+  return t === typeFilter;
+}
+
+function prdNavMatches(rowNav, navFilter) {
+  const n = norm(rowNav).toUpperCase();
+  if (!navFilter || navFilter === "ANY") return true;
+  if (navFilter === "BLANK") return !n;
+  if (navFilter === "DME/GPS") return n.includes("DME/GPS");
+  return n === navFilter;
+}
+
+function prdAircraftMatches(rowAcft, acftFilter) {
+  const a = norm(rowAcft).toUpperCase();
+  if (!acftFilter || acftFilter === "ANY") return true;
+  if (acftFilter === "JET") return a !== "PROP" && a !== "PROPS ONLY";
+  if (acftFilter === "PROP") return a !== "JET";
+  return true;
+}
+
+function readPrdFilters() {
+  return {
+    type: document.getElementById("prdTypeFilter")?.value ?? "AUTO",
+    nav: document.getElementById("prdNavFilter")?.value ?? "ANY",
+    acft: document.getElementById("prdAcftFilter")?.value ?? "ANY",
+    altitudeFt: parseRequestedAltitude(document.getElementById("prdAltitude")?.value ?? "")
+  };
+}
+
+/* filters rows, scores the rest and marks the best eligible fit RECOMMENDED */
+function rankPrdRoutes(rows, filters, profile = null) {
+  const alt = filters.altitudeFt;
+  const hasAlt = Number.isFinite(alt);
+  let typeFilter = filters.type;
+  if (typeFilter === "AUTO") typeFilter = hasAlt ? (alt >= PRD_HIGH_ALT_FT ? "HIGH" : "LOW") : "ALL";
+
+  const scored = rows
+    .filter(r =>
+      prdTypeMatches(r.Type, typeFilter) &&
+      prdNavMatches(r.Nav, filters.nav) &&
+      prdAircraftMatches(r.Aircraft, filters.acft)
+    )
+    .map(r => {
+      const fit = [];
+      let score = r.INELIGIBLE ? -100 : 0;
+
+      const range = parsePrdAltitude(r.Altitude);
+      const isHigh = norm(r.Type).toUpperCase() === "H";
+      if (hasAlt && range) {
+        if (alt >= range.min && alt <= range.max) { score += 40; fit.push("altitude in range"); }
+        else {
+          // closer ranges rank above farther ones
+          const off = alt < range.min ? range.min - alt : alt - range.max;
+          score -= 10 + Math.min(off / 1000, 20);
+          fit.push(`altitude outside ${norm(r.Altitude)}`);
+        }
+      } else if (hasAlt && isHigh) {
+        if (alt >= PRD_HIGH_ALT_FT) { score += 30; fit.push("high-altitude route"); }
+        else { score -= 20; fit.push("high-altitude route below FL180"); }
+      }
+
+      if (profile && profile.rnav === true && norm(r.Nav).toUpperCase() === "RNAV") { score += 5; fit.push("RNAV route"); }
+      return { ...r, FIT_SCORE: score, FIT: fit };
+    });
+
+  // Array.sort is stable, so equal scores keep PRD.tsv order
+  scored.sort((a, b) => b.FIT_SCORE - a.FIT_SCORE);
+
+  const best = scored.find(r => !r.INELIGIBLE);
+  return scored.map(r => r === best ? { ...r, RECOMMENDED: true } : r);
+}
+
+/* AIRWAYS + ROUTE EXPANDER
+   Airways.tsv lists each airway as an ordered, space separated FIXES string.
+   "JFK V16 DIXIE V16 VCN" expands to every fix between the entry and exit
+   points, in either direction along the airway. */
+let airwaysRows = [];
+let airwayByIdent = new Map();
+
+function buildAirwayMap(rows) {
+  airwayByIdent = new Map();
+  for (const r of rows) {
+    const key = norm(r.AIRWAY).toUpperCase();
+    const fixes = norm(r.FIXES).toUpperCase().split(/\s+/g).filter(Boolean);
+    if (key && fixes.length) airwayByIdent.set(key, fixes);
+  }
+}
+
+function isProcedureToken(tok) {
+  return /#$/.test(tok);
+}
+
+function expandRoute(routeStr) {
+  const tokens = routeTokens(routeStr);
+  const fixes = [];
+  const errors = [];
+
+  tokens.forEach((tok, idx) => {
+    if (tok === "DCT") return;
+    const airway = airwayByIdent.get(tok);
+    if (!airway) {
+      if (fixes[fixes.length - 1] !== tok) fixes.push(tok);
+      return;
+    }
+
+    const entry = tokens[idx - 1];
+    const exit = tokens[idx + 1];
+    const from = airway.indexOf(entry);
+    const to = airway.indexOf(exit);
+    if (!entry || !exit || from < 0 || to < 0) {
+      errors.push(`${tok}: ${!entry || from < 0 ? `entry ${entry || "(none)"}` : `exit ${exit || "(none)"}`} not on airway`);
+      return;
+    }
+
+    const between = from < to ? airway.slice(from + 1, to) : airway.slice(to + 1, from).reverse();
+    fixes.push(...between);
+  });
+
+  return { fixes, errors };
+}
+
+/* position of a fix ident, preferring the candidate nearest `near` when idents repeat */
+function fixPosition(ident, near = null) {
+  const key = norm(ident).toUpperCase();
+  const ref = near || { lat: KLGA_LAT, lon: KLGA_LON };
+
+  const candidates = (navaidByIdent.get(key) || [])
+    .filter(n => Number.isFinite(n.LAT) && Number.isFinite(n.LON))
+    .map(n => ({ lat: n.LAT, lon: n.LON }));
+
+  const fix = fixByIdent.get(key);
+  if (fix && Number.isFinite(fix.LAT) && Number.isFinite(fix.LON)) candidates.push({ lat: fix.LAT, lon: fix.LON });
+
+  const apt = airportByIdent.get(key);
+  if (apt && Number.isFinite(apt.LAT) && Number.isFinite(apt.LON)) candidates.push({ lat: apt.LAT, lon: apt.LON });
+  else if (key === "KLGA") candidates.push({ lat: KLGA_LAT, lon: KLGA_LON });
+
+  if (!candidates.length) return null;
+  return candidates.reduce((best, c) =>
+    haversineNM(ref.lat, ref.lon, c.lat, c.lon) < haversineNM(ref.lat, ref.lon, best.lat, best.lon) ? c : best
+  );
+}
+
+/* legs from origin through the expanded fixes to destination; a leg touching
+   a fix with no known position is skipped and counted in `unknown` */
+function routeMileage(origin, fixes, dest) {
+  const points = [origin, ...fixes.filter(f => !isProcedureToken(f)), dest].filter(Boolean);
+  const legs = [];
+  const unknown = new Set();
+
+  let prev = null;
+  for (const ident of points) {
+    const pos = fixPosition(ident, prev ? prev.pos : null);
+    if (!pos) unknown.add(ident);
+    else if (prev) legs.push({ from: prev.ident, to: ident, nm: haversineNM(prev.pos.lat, prev.pos.lon, pos.lat, pos.lon) });
+    if (pos) prev = { ident, pos };
+  }
+
+  return {
+    legs,
+    totalNm: legs.reduce((sum, l) => sum + l.nm, 0),
+    unknown: [...unknown]
+  };
+}
+
+function renderRouteExpansionHtml(origin, routeStr, dest) {
+  const { fixes, errors } = expandRoute(routeStr);
+  if (!fixes.length) return "";
+
+  const miles = routeMileage(origin, fixes, dest);
+  const legText = miles.legs.map(l => `${l.from}-${l.to} ${l.nm.toFixed(0)}`).join(", ");
+  const totalText = miles.legs.length
+    ? `${miles.totalNm.toFixed(0)} NM${miles.unknown.length ? ` (no position: ${miles.unknown.join(" ")})` : ""}`
+    : "distance unknown";
+
+  return `
+    <div class="routeExpand">
+      <div class="routeExpandFixes">${escHtml(fixes.join(" "))} · <b>${escHtml(totalText)}</b></div>
+      ${legText ? `<div class="routeExpandLegs">${escHtml(legText)}</div>` : ""}
+      ${errors.length ? `<div class="routeExpandErr">${escHtml(errors.join("; "))}</div>` : ""}
+    </div>
+  `;
+}
+
+/* ROUTES */
+let selectedPrdRoute = "";
+let closestPrdRoute = "";
+
+function renderRoutesTable(rows) {
+  if (!rows.length) return `<div class="console" style="min-height:auto;">No routes found.</div>`;
+
+  const anyAmended = rows.some(r => r.AMENDED);
+
+  const header = `
+    <table class="routesTable">
+      <thead>
+        <tr>
+          <th>Route</th>
+          ${anyAmended ? "<th>Amended</th>" : ""}
+          <th>Type</th>
+          <th>Aircraft</th>
+          <th>Nav</th>
+          <th>Altitude</th>
+        </tr>
+      </thead>
+      <tbody>
+  `;
+
+  const body = rows.map(r => {
+    const routeHtml = renderRouteWithLinks(r.Route);
+    const amendedCell = !anyAmended ? "" : r.AMENDED
+      ? `<td class="rerouteCell">${renderRouteWithLinks(r.AMENDED.route, r.AMENDED.highlight)}` +
+        `<div class="rerouteNote">${escHtml(r.AMENDED.applied.map(a => a.text).join("; "))}</div></td>`
+      : `<td>—</td>`;
+    const clearedRoute = r.AMENDED ? r.AMENDED.route : norm(r.Route);
+    const selCls = selectedPrdRoute && selectedPrdRoute === clearedRoute ? "isSelected" : "";
+    const inelCls = r.INELIGIBLE ? "routeIneligible" : "";
+    const closestCls = closestPrdRoute && closestPrdRoute === clearedRoute ? "routeClosest" : "";
+    const inelNote = r.INELIGIBLE
+      ? `<div class="routeIneligibleNote">NOT ELIGIBLE: ${escHtml(r.INELIGIBLE.join("; "))}</div>`
+      : "";
+    const recCls = r.RECOMMENDED ? "routeRecommended" : "";
+    const recNote = r.RECOMMENDED ? `<div class="routeRecommendedNote">★ RECOMMENDED</div>` : "";
+    const fitNote = r.FIT && r.FIT.length ? `<div class="routeFitNote">${escHtml(r.FIT.join("; "))}</div>` : "";
+    const expandHtml = renderRouteExpansionHtml(norm(r.Origin).toUpperCase(), clearedRoute, norm(r.Destination).toUpperCase());
+    return `
+      <tr class="routeRow ${selCls} ${inelCls} ${closestCls} ${recCls}" data-route="${escHtml(clearedRoute)}" title="Click to use this route in the clearance">
+        <td>${recNote}${routeHtml}${expandHtml}${inelNote}${fitNote}</td>
+        ${amendedCell}
+        <td>${escHtml(r.Type || "-")}</td>
+        <td>${escHtml(r.Aircraft || "-")}</td>
+        <td>${escHtml(r.Nav || "-")}</td>
+        <td>${escHtml(r.Altitude || "-")}</td>
+      </tr>
+    `;
+  }).join("");
+
+  return header + body + `</tbody></table>`;
+}
+
+/* AIRCRAFT TYPES
+   Aircraft.tsv maps an ICAO type designator to engine class, RNAV/GPS
+   capability, wake category and a typical cruise speed. */
+let aircraftRows = [];
+let aircraftByType = new Map();
+
+function buildAircraftMap(rows) {
+  aircraftByType = new Map();
+  for (const r of rows) {
+    const key = norm(r.DESIGNATOR).toUpperCase();
+    if (key && !aircraftByType.has(key)) aircraftByType.set(key, r);
+  }
+}
+
+function ynOrNull(v) {
+  const s = norm(v).toUpperCase();
+  if (/^(Y|YES|TRUE|1)$/.test(s)) return true;
+  if (/^(N|NO|FALSE|0)$/.test(s)) return false;
+  return null;
+}
+
+/* "Jet"/"Prop" typed directly or looked up by designator; "" when unknown */
+function acftClassFromType(typeText) {
+  const t = norm(typeText).toUpperCase();
+  if (t === "JET") return "Jet";
+  if (t === "PROP") return "Prop";
+  const row = aircraftByType.get(t);
+  if (!row) return "";
+  return norm(row.ENGINE).toUpperCase() === "JET" ? "Jet" : "Prop";
+}
+
+/* capability profile from a designator, falling back to the Jet/Prop/* selection */
+function getAircraftProfile(designator, acftTypeSel = "*") {
+  const key = norm(designator).toUpperCase();
+  const row = aircraftByType.get(key) || null;
+
+  if (row) {
+    const cruise = toNumberOrNaN(row.CRUISE_KTS);
+    return {
+      designator: key,
+      known: true,
+      row,
+      acftType: acftClassFromType(key),
+      engine: norm(row.ENGINE).toUpperCase(),
+      rnav: ynOrNull(row.RNAV),
+      gps: ynOrNull(row.GPS),
+      wake: norm(row.WAKE).toUpperCase(),
+      cruiseKts: cruise
+    };
+  }
+
+  const cls = acftClassFromType(acftTypeSel);
+  return {
+    designator: key,
+    known: false,
+    row: null,
+    acftType: cls || "*",
+    engine: cls === "Jet" ? "JET" : "",
+    rnav: null,
+    gps: null,
+    wake: "",
+    cruiseKts: NaN
+  };
+}
+
+function describeAircraftProfile(p) {
+  if (!p.known) return p.designator ? `${p.designator}: not in Aircraft.tsv` : "";
+  const caps = [p.rnav ? "RNAV" : "NON-RNAV", p.gps ? "GPS" : "NO GPS"].join("/");
+  return `${p.designator} ${norm(p.row.NAME)} • ${p.engine} • ${caps} • WAKE ${p.wake || "?"}`;
+}
+
+/* reasons this aircraft may not use a PRD row; unknown capabilities never exclude */
+function prdIneligibility(prdRow, profile) {
+  const reasons = [];
+  const acft = norm(prdRow.Aircraft).toUpperCase();
+  const nav = norm(prdRow.Nav).toUpperCase();
+  const isJet = profile.acftType === "Jet";
+  const isProp = profile.acftType === "Prop";
+
+  if (acft === "JET" && isProp) reasons.push("jets only");
+  if ((acft === "PROP" || acft === "PROPS ONLY") && isJet) reasons.push("props only");
+
+  if (Number.isFinite(profile.cruiseKts)) {
+    if (/^LESS THAN 250/.test(acft) && profile.cruiseKts >= 250) reasons.push("less than 250 KTS only");
+    else if (/^250 KNOTS/.test(acft) && profile.cruiseKts < 250) reasons.push("250 KTS or more only");
+  }
+
+  if (nav === "RNAV" && profile.rnav === false) reasons.push("RNAV required");
+  if (nav === "NON-RNAV" && profile.rnav === true) reasons.push("non-RNAV aircraft only");
+  if (nav.includes("DME/GPS") && profile.gps === false) reasons.push("DME/GPS required");
+
+  return reasons;
+}
+
+/* MATCHING */
+function matchAirspace(ruleVal, inputVal) {
+  const r = norm(ruleVal);
+  const v = norm(inputVal);
+
+  if (r === "*" || r === "") return true;
+  if (v === "") return false;
+
+  const V = v.toUpperCase();
+  const reqParts = r.toUpperCase().split(/\s*\+\s*|\s*,\s*|\s*&\s*/g).map(s => s.trim()).filter(Boolean);
+  return reqParts.every(part => V.includes(part));
+}
+
+function matchField(ruleVal, inputVal) {
+  const r = norm(ruleVal);
+  const v = norm(inputVal);
+
+  if (r === "*" || r === "") return true;
+  if (v === "") return false;
+
+  return r.toUpperCase() === v.toUpperCase();
+}
+
+/* DATA */
+let lgaConfigRows = [];
+let jfkConfigRows = [];
+let gatesRows = [];
+let depRulesRows = [];
+let routesRows = [];
+
+/* WX */
+const WX_STORAGE_KEY = "ids4_wx_watchlist_v2";
+let wxWatchlist = [];
+
+function loadWxWatchlist() {
+  try {
+    const raw = localStorage.getItem(WX_STORAGE_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    if (Array.isArray(arr)) wxWatchlist = arr.map(x => norm(x).toUpperCase()).filter(Boolean);
+    else wxWatchlist = [];
+  } catch { wxWatchlist = []; }
+  if (!wxWatchlist.length) wxWatchlist = ["KLGA", "KJFK", "KEWR", "KTEB"];
+}
+
+function saveWxWatchlist() {
+  localStorage.setItem(WX_STORAGE_KEY, JSON.stringify(wxWatchlist));
+}
+
+function renderWxChips() {
+  const wrap = document.getElementById("wxChips");
+  if (!wrap) return;
   wrap.innerHTML = wxWatchlist.map(icao => `
     <div class="wxChip">
       <span>${escHtml(icao)}</span>
@@ -565,420 +1806,3328 @@ function renderWxChips() {
   `).join("");
 }
 
-function isLikelyIcao(s) {
-  const v = norm(s).toUpperCase();
-  return /^[A-Z0-9]{3,5}$/.test(v);
+function isLikelyIcao(s) {
+  const v = norm(s).toUpperCase();
+  return /^[A-Z0-9]{3,5}$/.test(v);
+}
+
+/* WEATHER PROVIDERS
+   Each provider turns an ICAO into { raw, obsTime, type } and a raw TAF. type is
+   METAR or SPECI when the source says which, otherwise "". fetchMetarReport()
+   wraps the selected provider with retries and stamps the result with its source and
+   age. VATSIM has no TAF service, so its TAFs come from AviationWeather.gov (tafFrom).
+   LOCAL reads a TSV (ICAO / METAR / TAF columns) or plain METAR and TAF lines from a
+   file or a local HTTP stand-in; {ICAO} in its URL is replaced with the station. With
+   localShift on, a canned file's times are moved forward so its newest report is from
+   the last hour, which keeps the staleness and TAF validity checks meaningful. */
+const WX_SOURCE_STORAGE_KEY = "ids4_wx_source_v1";
+const WX_SOURCE_DEFAULT = { provider: "VATSIM", localUrl: "Local_WX.tsv", localShift: true, staleMin: 75 };
+const WX_FETCH_RETRIES = 3;
+const WX_FETCH_BACKOFF_MS = 1000;
+const WX_FETCH_TIMEOUT_MS = 8000;
+const LOCAL_WX_REUSE_MS = 15000;
+
+function pickMetarLine(text, id) {
+  const lines = text.replace(/\r/g, "").split("\n").map(l => l.trim()).filter(Boolean);
+  const exact = lines.find(l => l.toUpperCase().replace(/^(METAR|SPECI)\s+/, "").startsWith(id + " "));
+  return exact || lines[0] || "";
+}
+
+/* Plain-text weather split into report lines and TAFs. A TAF starts with "TAF" and
+   runs on over indented or FM/BECMG/TEMPO/PROB continuation lines. */
+function splitWxText(text) {
+  const lines = [];
+  const tafs = [];
+  let inTaf = false;
+  for (const line of text.replace(/\r/g, "").split("\n")) {
+    if (!line.trim()) continue;
+    if (/^\s*TAF\b/i.test(line)) {
+      tafs.push(norm(line));
+      inTaf = true;
+    } else if (inTaf && (/^\s/.test(line) || /^(FM\d|BECMG|TEMPO|PROB)/i.test(line))) {
+      tafs[tafs.length - 1] += ` ${norm(line)}`;
+    } else {
+      lines.push(line.trim());
+      inTaf = false;
+    }
+  }
+  return { lines, tafs };
+}
+
+/* a response holding a single report without the "TAF" prefix is taken as it is */
+function pickTafBlock(text, id) {
+  const { lines, tafs } = splitWxText(text);
+  if (!tafs.length) return lines.length && lines.join(" ").toUpperCase().startsWith(id + " ") ? norm(lines.join(" ")) : "";
+  return tafs.find(b => b.toUpperCase().replace(/^TAF\s+((AMD|COR)\s+)?/, "").startsWith(id + " ")) || "";
+}
+
+function formatDdhhmm(t) {
+  return [t.getUTCDate(), t.getUTCHours(), t.getUTCMinutes()].map(n => String(n).padStart(2, "0")).join("");
+}
+
+/* moves every DDHHMMZ, FMDDHHMM and DDHH/DDHH group by whole hours so the newest
+   DDHHMMZ stamp falls within the last hour; text that is already current is left alone */
+function shiftWxTimes(text, now = new Date()) {
+  const stamps = [...text.matchAll(/\b(\d{6})Z\b/g)].map(m => tafTime(m[1], now).getTime());
+  if (!stamps.length) return text;
+  const newest = new Date(Math.max(...stamps));
+
+  const target = new Date(now);
+  target.setUTCMinutes(newest.getUTCMinutes(), 0, 0);
+  if (target > now) target.setUTCHours(target.getUTCHours() - 1);
+  const delta = target - newest;
+  if (delta <= 0) return text;
+
+  const shift = ddhh => new Date(tafTime(ddhh, newest).getTime() + delta);
+  return text
+    .replace(/\b(\d{6})Z\b/g, (_, t) => `${formatDdhhmm(shift(t))}Z`)
+    .replace(/\bFM(\d{6})\b/g, (_, t) => `FM${formatDdhhmm(shift(t))}`)
+    .replace(/\b(\d{4})\/(\d{4})\b/g, (_, a, b) => `${formatDdhhmm(shift(a)).slice(0, 4)}/${formatDdhhmm(shift(b)).slice(0, 4)}`);
+}
+
+/* METAR and TAF reads share one download per URL for LOCAL_WX_REUSE_MS, so a poll
+   fetches the file once rather than twice per station */
+const localWxFetches = new Map();
+
+async function fetchLocalWx(id, signal) {
+  const settings = getWxSourceSettings();
+  const url = settings.localUrl.replace(/\{ICAO\}/g, encodeURIComponent(id));
+
+  let hit = localWxFetches.get(url);
+  if (!hit || Date.now() - hit.at > LOCAL_WX_REUSE_MS) {
+    const text = fetch(url, { cache: "no-store", signal }).then(res => {
+      if (!res.ok) throw httpError(`Local weather fetch failed (${url})`, res.status);
+      return res.text();
+    });
+    hit = { at: Date.now(), text };
+    localWxFetches.set(url, hit);
+    // a failed read is not shared, so the retry in fetchWithBackoff really refetches
+    text.catch(() => { if (localWxFetches.get(url) === hit) localWxFetches.delete(url); });
+  }
+
+  const raw = await hit.text;
+  const text = settings.localShift ? shiftWxTimes(raw) : raw;
+  const row = /^ICAO\t/i.test(text) ? parseTSV(text).find(r => norm(r.ICAO).toUpperCase() === id) || {} : null;
+  return { text, row };
+}
+
+/* only an explicit METAR/SPECI prefix counts; most feeds drop it */
+function reportTypeFromRaw(raw) {
+  return norm(raw).toUpperCase().match(/^(METAR|SPECI)\b/)?.[1] || "";
+}
+
+/* observation time from the DDHHMMZ group, in the month closest to now */
+function metarObsTime(raw) {
+  const m = norm(raw).match(/\b(\d{6})Z\b/);
+  return m ? tafTime(m[1]) : null;
+}
+
+const WX_PROVIDERS = {
+  VATSIM: {
+    label: "VATSIM",
+    tafFrom: "AWC",
+    async fetchMetar(id, signal) {
+      const res = await fetch(`https://metar.vatsim.net/metar.php?id=${encodeURIComponent(id)}`, { cache: "no-store", signal });
+      if (!res.ok) throw httpError("METAR fetch failed", res.status);
+      const raw = pickMetarLine(await res.text(), id);
+      return { raw, obsTime: metarObsTime(raw), type: reportTypeFromRaw(raw) };
+    }
+  },
+  AWC: {
+    label: "AviationWeather.gov",
+    async fetchMetar(id, signal) {
+      const res = await fetch(`https://aviationweather.gov/api/data/metar?ids=${encodeURIComponent(id)}&format=json`, { cache: "no-store", signal });
+      if (!res.ok) throw httpError("METAR fetch failed", res.status);
+      const rows = res.status === 204 ? [] : await res.json();
+      const row = (Array.isArray(rows) ? rows : []).find(r => norm(r.icaoId).toUpperCase() === id);
+      if (!row) return { raw: "", obsTime: null, type: "" };
+      const raw = norm(row.rawOb);
+      return {
+        raw,
+        obsTime: Number.isFinite(row.obsTime) ? new Date(row.obsTime * 1000) : metarObsTime(raw),
+        type: norm(row.metarType).toUpperCase() || reportTypeFromRaw(raw)
+      };
+    },
+    async fetchTaf(id, signal) {
+      const res = await fetch(`https://aviationweather.gov/api/data/taf?ids=${encodeURIComponent(id)}&format=raw`, { cache: "no-store", signal });
+      if (!res.ok) throw httpError("TAF fetch failed", res.status);
+      return pickTafBlock(await res.text(), id);
+    }
+  },
+  LOCAL: {
+    label: "Local",
+    async fetchMetar(id, signal) {
+      const { text, row } = await fetchLocalWx(id, signal);
+      const raw = row ? norm(row.METAR) : pickMetarLine(splitWxText(text).lines.join("\n"), id);
+      return { raw, obsTime: metarObsTime(raw), type: reportTypeFromRaw(raw) };
+    },
+    async fetchTaf(id, signal) {
+      const { text, row } = await fetchLocalWx(id, signal);
+      return row ? norm(row.TAF) : pickTafBlock(text, id);
+    }
+  }
+};
+
+function httpError(msg, status) {
+  const err = new Error(`${msg} (${status})`);
+  err.status = status;
+  return err;
+}
+
+function getWxSourceSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WX_SOURCE_STORAGE_KEY) || "{}");
+    const out = { ...WX_SOURCE_DEFAULT };
+    if (WX_PROVIDERS[saved.provider]) out.provider = saved.provider;
+    if (typeof saved.localUrl === "string" && saved.localUrl.trim()) out.localUrl = saved.localUrl.trim();
+    if (typeof saved.localShift === "boolean") out.localShift = saved.localShift;
+    if (Number.isFinite(saved.staleMin) && saved.staleMin > 0) out.staleMin = saved.staleMin;
+    return out;
+  } catch {
+    return { ...WX_SOURCE_DEFAULT };
+  }
+}
+
+function saveWxSourceSettings(settings) {
+  localStorage.setItem(WX_SOURCE_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/* retry with exponential backoff; 4xx answers are not retried. fn(signal) gets an
+   AbortSignal that fires after WX_FETCH_TIMEOUT_MS so a hung request counts as a failure. */
+async function fetchWithBackoff(fn, retries = WX_FETCH_RETRIES, baseMs = WX_FETCH_BACKOFF_MS) {
+  let lastErr;
+  let attempts = 0;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    attempts++;
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), WX_FETCH_TIMEOUT_MS);
+    try {
+      return await fn(ctrl.signal);
+    } catch (err) {
+      lastErr = ctrl.signal.aborted ? new Error(`timed out after ${WX_FETCH_TIMEOUT_MS / 1000} s`) : err;
+      if (lastErr?.status >= 400 && lastErr.status < 500) break;
+      if (attempt < retries) await new Promise(r => setTimeout(r, baseMs * 2 ** attempt));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  if (lastErr && typeof lastErr === "object") lastErr.attempts = attempts;
+  throw lastErr;
+}
+
+/* { icao, raw, ok, type, source, obsTime, ageMin, stale, error } — never throws */
+async function fetchMetarReport(icao, settings = getWxSourceSettings()) {
+  const id = norm(icao).toUpperCase();
+  const provider = WX_PROVIDERS[settings.provider] || WX_PROVIDERS.VATSIM;
+  const report = { icao: id, raw: "", ok: false, type: "", source: provider.label, obsTime: null, ageMin: NaN, stale: false, error: "" };
+
+  try {
+    const { raw, obsTime, type } = await fetchWithBackoff(signal => provider.fetchMetar(id, signal));
+    report.raw = raw || `${id} (no METAR)`;
+    report.ok = !!raw;
+    report.type = type || "";
+    report.obsTime = obsTime;
+  } catch (err) {
+    report.raw = `${id} (error)`;
+    report.error = `${err?.message || String(err)}${err?.attempts > 1 ? ` after ${err.attempts} attempts` : ""}`;
+    return report;
+  }
+
+  if (report.obsTime) {
+    report.ageMin = Math.round((Date.now() - report.obsTime.getTime()) / 60000);
+    report.stale = report.ageMin > settings.staleMin;
+  }
+  return report;
+}
+
+function formatAgeMin(min) {
+  if (min < 120) return `${Math.max(0, min)} min`;
+  if (min < 48 * 60) return `${Math.floor(min / 60)} h`;
+  return `${Math.floor(min / 1440)} d`;
+}
+
+function renderWxSourceHtml(report) {
+  if (!report) return "";
+  if (report.error) {
+    return `<div class="wxSource wxSourceErr">SRC ${escHtml(report.source)} — FAILED: ${escHtml(report.error)}</div>`;
+  }
+  const obs = report.obsTime
+    ? ` · OBS ${escHtml(formatTafTime(report.obsTime))}${Number.isFinite(report.ageMin) ? ` (${formatAgeMin(report.ageMin)} ago)` : ""}`
+    : "";
+  const stale = report.stale ? ` <span class="wxStale">STALE</span>` : "";
+  return `<div class="wxSource">SRC ${escHtml(report.source)}${obs}${stale}</div>`;
+}
+
+function wireWxSourceControls() {
+  const settings = getWxSourceSettings();
+  const providerEl = document.getElementById("wxProvider");
+  const localEl = document.getElementById("wxLocalUrl");
+  const shiftEl = document.getElementById("wxLocalShift");
+  const shiftWrap = document.getElementById("wxLocalShiftWrap");
+  const staleEl = document.getElementById("wxStaleMin");
+
+  const refreshAll = () => {
+    refreshWx();
+    refreshRunwayHelper();
+  };
+
+  if (providerEl) {
+    providerEl.innerHTML = Object.entries(WX_PROVIDERS).map(([key, p]) =>
+      `<option value="${escHtml(key)}">${escHtml(p.label)}</option>`
+    ).join("");
+    providerEl.value = settings.provider;
+    providerEl.addEventListener("change", () => {
+      saveWxSourceSettings({ ...getWxSourceSettings(), provider: providerEl.value });
+      if (localEl) localEl.classList.toggle("isHidden", providerEl.value !== "LOCAL");
+      if (shiftWrap) shiftWrap.classList.toggle("isHidden", providerEl.value !== "LOCAL");
+      refreshAll();
+    });
+  }
+
+  if (localEl) {
+    localEl.value = settings.localUrl;
+    localEl.classList.toggle("isHidden", settings.provider !== "LOCAL");
+    localEl.addEventListener("change", () => {
+      const v = norm(localEl.value);
+      if (v) saveWxSourceSettings({ ...getWxSourceSettings(), localUrl: v });
+      else localEl.value = getWxSourceSettings().localUrl;
+      refreshAll();
+    });
+  }
+
+  if (shiftWrap) shiftWrap.classList.toggle("isHidden", settings.provider !== "LOCAL");
+  if (shiftEl) {
+    shiftEl.checked = settings.localShift;
+    shiftEl.addEventListener("change", () => {
+      saveWxSourceSettings({ ...getWxSourceSettings(), localShift: shiftEl.checked });
+      refreshAll();
+    });
+  }
+
+  if (staleEl) {
+    staleEl.value = String(settings.staleMin);
+    staleEl.addEventListener("change", () => {
+      const v = Number(staleEl.value);
+      if (Number.isFinite(v) && v > 0) saveWxSourceSettings({ ...getWxSourceSettings(), staleMin: v });
+      else staleEl.value = String(getWxSourceSettings().staleMin);
+      refreshAll();
+    });
+  }
+}
+
+function parseVisSM(metar) {
+  const m = metar.match(/(\d+\s+\d+\/\d+|\d+\/\d+|\d+)\s*SM\b/);
+  if (!m) return NaN;
+
+  const raw = m[1].trim();
+  if (raw.includes(" ")) {
+    const [whole, frac] = raw.split(/\s+/);
+    const [a,b] = frac.split("/").map(Number);
+    const w = Number(whole);
+    if (!Number.isFinite(w) || !Number.isFinite(a) || !Number.isFinite(b) || b === 0) return NaN;
+    return w + (a/b);
+  }
+  if (raw.includes("/")) {
+    const [a,b] = raw.split("/").map(Number);
+    if (!Number.isFinite(a) || !Number.isFinite(b) || b === 0) return NaN;
+    return a/b;
+  }
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function parseCeilFt(metar) {
+  const layers = [...metar.matchAll(/\b(BKN|OVC|VV)(\d{3})\b/g)];
+  if (!layers.length) return Infinity;
+
+  let minFt = Infinity;
+  for (const x of layers) {
+    const h = Number(x[2]);
+    if (Number.isFinite(h)) minFt = Math.min(minFt, h * 100);
+  }
+  return minFt;
+}
+
+function flightCategory(metar) {
+  const m = norm(metar);
+  if (!m) return { cat: "—", cls: "" };
+  return flightCategoryFromValues(parseVisSM(m), parseCeilFt(m));
+}
+
+function flightCategoryFromValues(vis, ceil) {
+  if ((Number.isFinite(ceil) && ceil < 500) || (Number.isFinite(vis) && vis < 1)) return { cat: "LIFR", cls: "wxCatLIFR" };
+  if ((Number.isFinite(ceil) && ceil < 1000) || (Number.isFinite(vis) && vis < 3)) return { cat: "IFR", cls: "wxCatIFR" };
+  if ((Number.isFinite(ceil) && ceil < 3000) || (Number.isFinite(vis) && vis < 5)) return { cat: "MVFR", cls: "wxCatMVFR" };
+  return { cat: "VFR", cls: "wxCatVFR" };
+}
+
+function renderMetarLineHtml(icao, metar) {
+  const id = norm(icao).toUpperCase();
+  const text = norm(metar);
+  const { cat, cls } = flightCategory(text);
+
+  if (text.toUpperCase().startsWith(id + " ")) {
+    const rest = text.slice(id.length);
+    return `<span class="wxIdent">${escHtml(id)}</span> <span class="${escHtml(cls)}">${escHtml(cat)}</span>${escHtml(rest)}`;
+  }
+  return `<span class="wxIdent">${escHtml(id)}</span> <span class="${escHtml(cls)}">${escHtml(cat)}</span> ${escHtml(text)}`;
+}
+
+/* METAR DECODER
+   decodeMetar() turns a METAR/SPECI into a plain object; describeMetar() turns that
+   into display lines. Anything the decoder does not recognise lands in `unparsed`. */
+const METAR_WX_DESCRIPTORS = {
+  MI: "shallow", PR: "partial", BC: "patches", DR: "low drifting",
+  BL: "blowing", SH: "showers", TS: "thunderstorm", FZ: "freezing"
+};
+const METAR_WX_PHENOMENA = {
+  DZ: "drizzle", RA: "rain", SN: "snow", SG: "snow grains", IC: "ice crystals",
+  PL: "ice pellets", GR: "hail", GS: "small hail", UP: "unknown precipitation",
+  BR: "mist", FG: "fog", FU: "smoke", VA: "volcanic ash", DU: "dust", SA: "sand",
+  HZ: "haze", PY: "spray", PO: "dust whirls", SQ: "squalls", FC: "funnel cloud",
+  SS: "sandstorm", DS: "duststorm"
+};
+const METAR_CLOUD_COVER = { FEW: "few", SCT: "scattered", BKN: "broken", OVC: "overcast" };
+const METAR_PRESSURE_TENDENCY = [
+  "increasing, then decreasing",
+  "increasing, then steady",
+  "increasing steadily or unsteadily",
+  "decreasing or steady, then increasing",
+  "steady",
+  "decreasing, then increasing",
+  "decreasing, then steady",
+  "decreasing steadily or unsteadily",
+  "steady or increasing, then decreasing"
+];
+
+function metarTempC(raw) {
+  if (!raw) return NaN;
+  return raw.startsWith("M") ? -Number(raw.slice(1)) : Number(raw);
+}
+
+function parseMetarFraction(raw) {
+  if (raw.includes("/")) {
+    const [a, b] = raw.split("/").map(Number);
+    return b ? a / b : NaN;
+  }
+  return Number(raw);
+}
+
+function parseMetarWeather(tok) {
+  const m = tok.match(/^(-|\+|VC)?(MI|PR|BC|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/);
+  if (!m || (!m[2] && !m[3])) return null;
+
+  const phenomena = (m[3].match(/../g) || []);
+  const intensity = m[1] === "-" ? "light" : m[1] === "+" ? "heavy" : "";
+  const vicinity = m[1] === "VC";
+
+  let text;
+  if (tok === "+FC") text = "tornado/waterspout";
+  else {
+    text = [
+      intensity,
+      m[2] ? METAR_WX_DESCRIPTORS[m[2]] : "",
+      phenomena.map(p => METAR_WX_PHENOMENA[p]).join(" and ")
+    ].filter(Boolean).join(" ");
+    if (vicinity) text += " in the vicinity";
+  }
+
+  return { raw: tok, intensity, descriptor: m[2] || "", phenomena, vicinity, text };
+}
+
+function decodeMetarRemarks(rmk) {
+  const out = { raw: rmk, stationType: "", slpHpa: NaN, peakWind: null, lightning: [], pressureTendency: null, tempPrecise: null };
+  if (!rmk) return out;
+
+  const ao = rmk.match(/\bAO([12])\b/);
+  if (ao) out.stationType = ao[1] === "2" ? "automated, with precipitation discriminator" : "automated, no precipitation discriminator";
+
+  const slp = rmk.match(/\bSLP(\d{3})\b/);
+  if (slp) {
+    const n = Number(slp[1]) / 10;
+    out.slpHpa = n >= 50 ? 900 + n : 1000 + n;
+  }
+
+  const pk = rmk.match(/\bPK WND (\d{3})(\d{2,3})\/(\d{2})?(\d{2})\b/);
+  if (pk) out.peakWind = { dir: Number(pk[1]), spd: Number(pk[2]), hour: pk[3] || "", minute: pk[4] };
+
+  for (const lt of rmk.matchAll(/\b(?:(OCNL|FRQ|CONS)\s+)?LTG((?:IC|CC|CG|CA)*)((?:\s+(?:DSNT|VC|OHD|ALQDS|AND|[NESW]{1,2}(?:-[NESW]{1,2})*)(?=\s|$))*)/g)) {
+    out.lightning.push({
+      raw: lt[0].trim(),
+      frequency: lt[1] || "",
+      types: lt[2].match(/../g) || [],
+      location: lt[3].trim()
+    });
+  }
+
+  const tend = rmk.match(/\b5([0-8])(\d{3})\b/);
+  if (tend) {
+    out.pressureTendency = {
+      code: Number(tend[1]),
+      text: METAR_PRESSURE_TENDENCY[Number(tend[1])],
+      changeHpa: Number(tend[2]) / 10
+    };
+  }
+
+  const t = rmk.match(/\bT([01])(\d{3})([01])(\d{3})\b/);
+  if (t) {
+    out.tempPrecise = {
+      tempC: (t[1] === "1" ? -1 : 1) * Number(t[2]) / 10,
+      dewpointC: (t[3] === "1" ? -1 : 1) * Number(t[4]) / 10
+    };
+  }
+
+  return out;
+}
+
+function decodeMetar(metar, opts = {}) {
+  const text = norm(metar).toUpperCase().replace(/=$/, "");
+  const [body, rmk = ""] = text.split(/\s+RMK\s+/);
+  const toks = body.split(/\s+/g).filter(Boolean);
+
+  const d = {
+    raw: text,
+    type: "METAR",
+    station: "",
+    time: null,
+    modifier: "",
+    wind: null,
+    visibility: null,
+    cavok: false,
+    rvr: [],
+    weather: [],
+    clouds: [],
+    verticalVisFt: NaN,
+    tempC: NaN,
+    dewpointC: NaN,
+    altimeter: null,
+    remarks: decodeMetarRemarks(rmk),
+    unparsed: []
+  };
+
+  let i = 0;
+  if (toks[i] === "METAR" || toks[i] === "SPECI") d.type = toks[i++];
+  if (opts.station !== false && /^[A-Z][A-Z0-9]{3}$/.test(toks[i] || "")) d.station = toks[i++];
+
+  for (; i < toks.length; i++) {
+    const tok = toks[i];
+    let m;
+
+    if ((m = tok.match(/^(\d{2})(\d{2})(\d{2})Z$/))) {
+      d.time = { day: Number(m[1]), hour: Number(m[2]), minute: Number(m[3]) };
+    } else if (tok === "AUTO" || tok === "COR") {
+      d.modifier = tok;
+    } else if ((m = tok.match(/^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS)$/))) {
+      d.wind = {
+        dir: m[1] === "VRB" ? "VRB" : Number(m[1]),
+        spd: Number(m[2]),
+        gust: m[3] ? Number(m[3]) : NaN,
+        unit: m[4],
+        calm: m[1] === "000" && Number(m[2]) === 0,
+        varFrom: NaN,
+        varTo: NaN
+      };
+    } else if ((m = tok.match(/^(\d{3})V(\d{3})$/)) && d.wind) {
+      d.wind.varFrom = Number(m[1]);
+      d.wind.varTo = Number(m[2]);
+    } else if (tok === "CAVOK") {
+      d.cavok = true;
+      d.visibility = { sm: 6, meters: 10000, qualifier: "P", raw: tok };
+    } else if (/^\d+$/.test(tok) && /^\d\/\dSM$/.test(toks[i + 1] || "")) {
+      // "1 1/2SM" arrives as two tokens
+      const frac = toks[++i].replace("SM", "");
+      d.visibility = { sm: Number(tok) + parseMetarFraction(frac), meters: NaN, qualifier: "", raw: `${tok} ${toks[i]}` };
+    } else if ((m = tok.match(/^([MP])?(\d+\/\d+|\d+)SM$/))) {
+      d.visibility = { sm: parseMetarFraction(m[2]), meters: NaN, qualifier: m[1] || "", raw: tok };
+    } else if ((m = tok.match(/^(\d{4})(NDV)?$/)) && !d.visibility && !d.clouds.length) {
+      const meters = Number(m[1]);
+      d.visibility = { sm: meters === 9999 ? 6 : meters / 1609.344, meters, qualifier: meters === 9999 ? "P" : "", raw: tok };
+    } else if ((m = tok.match(/^R(\d{2}[LRC]?)\/([PM])?(\d{4})(?:V([PM])?(\d{4}))?(FT)?(?:\/?([UDN]))?$/))) {
+      d.rvr.push({
+        runway: m[1],
+        minQualifier: m[2] || "",
+        min: Number(m[3]),
+        maxQualifier: m[4] || "",
+        max: m[5] ? Number(m[5]) : NaN,
+        unit: m[6] ? "FT" : "M",
+        trend: m[7] || ""
+      });
+    } else if ((m = tok.match(/^(FEW|SCT|BKN|OVC)(\d{3})(CB|TCU)?$/))) {
+      d.clouds.push({ cover: m[1], baseFt: Number(m[2]) * 100, type: m[3] || "" });
+    } else if ((m = tok.match(/^VV(\d{3})$/))) {
+      d.verticalVisFt = Number(m[1]) * 100;
+    } else if (/^(SKC|CLR|NSC|NCD)$/.test(tok)) {
+      d.clouds.push({ cover: tok, baseFt: NaN, type: "" });
+    } else if ((m = tok.match(/^(M?\d{2})\/(M?\d{2})?$/))) {
+      d.tempC = metarTempC(m[1]);
+      d.dewpointC = metarTempC(m[2]);
+    } else if ((m = tok.match(/^A(\d{4})$/))) {
+      d.altimeter = { inHg: Number(m[1]) / 100, hPa: Math.round(Number(m[1]) / 100 * 33.8639) };
+    } else if ((m = tok.match(/^Q(\d{4})$/))) {
+      d.altimeter = { inHg: Math.round(Number(m[1]) / 33.8639 * 100) / 100, hPa: Number(m[1]) };
+    } else {
+      const wx = parseMetarWeather(tok);
+      if (wx) d.weather.push(wx);
+      else d.unparsed.push(tok);
+    }
+  }
+
+  return d;
+}
+
+/* lowest BKN/OVC layer or vertical visibility, in feet */
+function metarCeilingFt(d) {
+  const layers = d.clouds.filter(c => c.cover === "BKN" || c.cover === "OVC").map(c => c.baseFt);
+  if (Number.isFinite(d.verticalVisFt)) layers.push(d.verticalVisFt);
+  return layers.length ? Math.min(...layers) : Infinity;
+}
+
+function describeMetarWind(w) {
+  if (!w) return "(missing)";
+  if (w.calm) return "calm";
+  const dir = w.dir === "VRB" ? "variable" : `${String(w.dir).padStart(3, "0")}°`;
+  let s = `${dir} at ${w.spd} ${w.unit}`;
+  if (Number.isFinite(w.gust)) s += `, gusts ${w.gust}`;
+  if (Number.isFinite(w.varFrom)) s += `, varying ${String(w.varFrom).padStart(3, "0")}°–${String(w.varTo).padStart(3, "0")}°`;
+  return s;
+}
+
+function describeMetarVisibility(v) {
+  if (!v) return "(missing)";
+  const sm = Number.isFinite(v.sm) ? `${Math.round(v.sm * 100) / 100} SM` : v.raw;
+  const meters = Number.isFinite(v.meters) ? ` (${v.meters} m)` : "";
+  if (v.qualifier === "M") return `less than ${sm}${meters}`;
+  if (v.qualifier === "P") return `${sm} or more${meters}`;
+  return `${sm}${meters}`;
+}
+
+function describeMetarRvr(r) {
+  const q = (x) => x === "M" ? "less than " : x === "P" ? "more than " : "";
+  const trend = { U: ", rising", D: ", falling", N: ", no change" }[r.trend] || "";
+  const range = Number.isFinite(r.max)
+    ? `${q(r.minQualifier)}${r.min} to ${q(r.maxQualifier)}${r.max}`
+    : `${q(r.minQualifier)}${r.min}`;
+  return `RWY ${r.runway} ${range} ${r.unit === "FT" ? "ft" : "m"}${trend}`;
+}
+
+function describeMetarCloud(c) {
+  if (!Number.isFinite(c.baseFt)) return { SKC: "sky clear", CLR: "clear below 12,000 ft", NSC: "no significant cloud", NCD: "no cloud detected" }[c.cover];
+  const type = c.type === "CB" ? " cumulonimbus" : c.type === "TCU" ? " towering cumulus" : "";
+  return `${METAR_CLOUD_COVER[c.cover]} ${c.baseFt.toLocaleString("en-US")} ft${type}`;
+}
+
+function describeMetar(d) {
+  const lines = [];
+  const add = (label, value) => lines.push(`${label.padEnd(8)}${value}`);
+
+  add("STATION", `${d.station || "(unknown)"}${d.type === "SPECI" ? " (SPECI)" : ""}${d.modifier ? ` ${d.modifier}` : ""}`);
+  if (d.time) add("TIME", `day ${d.time.day} ${String(d.time.hour).padStart(2, "0")}${String(d.time.minute).padStart(2, "0")}Z`);
+  add("WIND", describeMetarWind(d.wind));
+  add("VIS", d.cavok ? "CAVOK (10 km+, no cloud below 5,000 ft, no significant weather)" : describeMetarVisibility(d.visibility));
+  for (const r of d.rvr) add("RVR", describeMetarRvr(r));
+  if (d.weather.length) add("WX", d.weather.map(w => w.text).join("; "));
+  if (d.clouds.length) add("SKY", d.clouds.map(describeMetarCloud).join("; "));
+  if (Number.isFinite(d.verticalVisFt)) add("VV", `${d.verticalVisFt} ft (sky obscured)`);
+
+  const ceil = metarCeilingFt(d);
+  add("CEILING", Number.isFinite(ceil) ? `${ceil.toLocaleString("en-US")} ft` : "none");
+
+  if (Number.isFinite(d.tempC)) {
+    const t = d.remarks.tempPrecise;
+    add("TEMP", t
+      ? `${t.tempC.toFixed(1)}°C / dewpoint ${t.dewpointC.toFixed(1)}°C`
+      : `${d.tempC}°C / dewpoint ${Number.isFinite(d.dewpointC) ? `${d.dewpointC}°C` : "(missing)"}`);
+  }
+  if (d.altimeter) add("ALTIM", `${d.altimeter.inHg.toFixed(2)} inHg (${d.altimeter.hPa} hPa)`);
+
+  const r = d.remarks;
+  if (r.stationType) add("SENSOR", r.stationType);
+  if (Number.isFinite(r.slpHpa)) add("SLP", `${r.slpHpa.toFixed(1)} hPa`);
+  if (r.peakWind) add("PK WND", `${String(r.peakWind.dir).padStart(3, "0")}° at ${r.peakWind.spd} KT at ${r.peakWind.hour ? `${r.peakWind.hour}` : ""}${r.peakWind.minute}${r.peakWind.hour ? "Z" : " past the hour"}`);
+  for (const l of r.lightning) add("LTG", l.raw);
+  if (r.pressureTendency) add("PRESS", `${r.pressureTendency.text}, ${r.pressureTendency.changeHpa.toFixed(1)} hPa in 3 hr`);
+  if (d.unparsed.length) add("??", d.unparsed.join(" "));
+
+  return lines;
+}
+
+/* Real-world METAR formats with the decoded values they must produce.
+   Run headless: require("./app.js").checkMetarDecoder() -> [] when all pass. */
+const METAR_TEST_VECTORS = [
+  {
+    metar: "KLGA 121751Z 31015G25KT 280V340 10SM FEW050 SCT250 08/M06 A3012 RMK AO2 PK WND 30032/1712 SLP199 T00831061 10089 20044 53012",
+    expect: {
+      station: "KLGA", "wind.dir": 310, "wind.spd": 15, "wind.gust": 25, "wind.varFrom": 280, "wind.varTo": 340,
+      "visibility.sm": 10, tempC: 8, dewpointC: -6, "altimeter.inHg": 30.12,
+      "remarks.slpHpa": 1019.9, "remarks.peakWind.spd": 32, "remarks.pressureTendency.code": 3, "remarks.pressureTendency.changeHpa": 1.2,
+      ceilingFt: Infinity, unparsedCount: 0
+    }
+  },
+  {
+    metar: "KJFK 041551Z 04012KT 1/2SM R04R/2400V4000FT/D -SN FG VV005 M01/M02 A2968 RMK AO2 SLP051 P0003 T10061017",
+    expect: {
+      station: "KJFK", "wind.dir": 40, "visibility.sm": 0.5, "rvr.0.runway": "04R", "rvr.0.min": 2400, "rvr.0.max": 4000, "rvr.0.trend": "D",
+      "weather.0.text": "light snow", "weather.1.text": "fog", verticalVisFt: 500, ceilingFt: 500, tempC: -1, dewpointC: -2,
+      "altimeter.inHg": 29.68, "remarks.slpHpa": 1005.1
+    }
+  },
+  {
+    metar: "KEWR 201851Z 23008KT M1/4SM R22L/P6000FT +TSRA BKN008CB OVC020 22/21 A2990 RMK AO2 LTG DSNT ALQDS OCNL LTGICCG OHD SLP126",
+    expect: {
+      "visibility.sm": 0.25, "visibility.qualifier": "M", "rvr.0.minQualifier": "P", "rvr.0.min": 6000,
+      "weather.0.text": "heavy thunderstorm rain", "clouds.0.type": "CB", ceilingFt: 800,
+      "remarks.lightning.0.raw": "LTG DSNT ALQDS", "remarks.lightning.1.frequency": "OCNL", "remarks.lightning.1.location": "OHD"
+    }
+  },
+  {
+    metar: "KTEB 160253Z VRB03KT 1 1/2SM BR OVC004 12/12 A2995 RMK AO2 SLP142 T01220117 56004",
+    expect: {
+      "wind.dir": "VRB", "wind.spd": 3, "visibility.sm": 1.5, "weather.0.text": "mist", ceilingFt: 400,
+      "remarks.tempPrecise.tempC": 12.2, "remarks.pressureTendency.code": 6, "remarks.pressureTendency.changeHpa": 0.4
+    }
+  },
+  {
+    metar: "SPECI KHPN 281714Z 00000KT 3SM -FZRA VCSH SCT010 BKN015 OVC030 M02/M03 A2989 RMK AO2 FZRAB05",
+    expect: {
+      type: "SPECI", station: "KHPN", "wind.calm": true, "visibility.sm": 3,
+      "weather.0.text": "light freezing rain", "weather.1.text": "showers in the vicinity", ceilingFt: 1500, tempC: -2
+    }
+  },
+  {
+    metar: "EGLL 091020Z AUTO 24018G32KT 210V270 9999 -RA FEW012 BKN024 11/08 Q0998",
+    expect: {
+      station: "EGLL", modifier: "AUTO", "wind.gust": 32, "visibility.meters": 9999, "visibility.sm": 6,
+      "altimeter.hPa": 998, "altimeter.inHg": 29.47, ceilingFt: 2400
+    }
+  },
+  {
+    metar: "LFPG 151200Z 05006KT CAVOK 18/06 Q1027",
+    expect: { cavok: true, tempC: 18, "altimeter.hPa": 1027, ceilingFt: Infinity }
+  },
+  {
+    metar: "KBOS 011354Z 36022G35KT 1/4SM +SN BLSN VV002 M07/M09 A2952 RMK AO2 PK WND 01045/1322 SLP996 P0012",
+    expect: {
+      "visibility.sm": 0.25, "weather.0.text": "heavy snow", "weather.1.text": "blowing snow", verticalVisFt: 200,
+      "remarks.peakWind.dir": 10, "remarks.peakWind.spd": 45, "remarks.peakWind.minute": "22", "remarks.slpHpa": 999.6
+    }
+  },
+  {
+    metar: "KPHL 220554Z 18005KT 10SM CLR 26/19 A3001 RMK AO2 SLP162 T02560189 10289 20250 50002",
+    expect: { "clouds.0.cover": "CLR", ceilingFt: Infinity, "remarks.pressureTendency.code": 0, "remarks.stationType": "automated, with precipitation discriminator" }
+  }
+];
+
+function metarPath(obj, path) {
+  return path.split(".").reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), obj);
+}
+
+function checkMetarDecoder(vectors = METAR_TEST_VECTORS) {
+  const failures = [];
+  for (const v of vectors) {
+    const d = decodeMetar(v.metar);
+    const derived = { ...d, ceilingFt: metarCeilingFt(d), unparsedCount: d.unparsed.length };
+    for (const [path, expected] of Object.entries(v.expect)) {
+      const actual = metarPath(derived, path);
+      const ok = typeof expected === "number" && typeof actual === "number"
+        ? (actual === expected || Math.abs(actual - expected) < 1e-9)
+        : actual === expected;
+      if (!ok) failures.push({ metar: v.metar, path, expected, actual });
+    }
+  }
+  return failures;
+}
+
+/* TAF
+   Forecasts come from the selected weather provider and are cached per source and
+   station for TAF_CACHE_MS; failures are cached for TAF_FAIL_CACHE_MS so a dead source
+   is not retried on every poll. LOCAL is read fresh with its METARs (see fetchLocalWx)
+   so shifted times stay in step. parseTaf() splits a TAF into its base period and FM /
+   BECMG / TEMPO / PROB groups, each with absolute UTC times and decoded conditions. */
+const TAF_CACHE_MS = 10 * 60 * 1000;
+const TAF_FAIL_CACHE_MS = 5 * 60 * 1000;
+const tafCache = new Map();
+
+/* { raw, source, error } — never throws; raw is "" when the source has no TAF */
+async function fetchTaf(icao, settings = getWxSourceSettings()) {
+  const id = norm(icao).toUpperCase();
+  const key = WX_PROVIDERS[settings.provider] ? settings.provider : "VATSIM";
+  const providerKey = WX_PROVIDERS[key].tafFrom || key;
+  const provider = WX_PROVIDERS[providerKey];
+
+  const cacheKey = `${providerKey}|${id}`;
+  const hit = providerKey === "LOCAL" ? null : tafCache.get(cacheKey);
+  if (hit && Date.now() - hit.at < (hit.result.error ? TAF_FAIL_CACHE_MS : TAF_CACHE_MS)) return hit.result;
+
+  let result;
+  try {
+    const raw = await fetchWithBackoff(signal => provider.fetchTaf(id, signal));
+    result = { raw: norm(String(raw || "").replace(/\s+/g, " ")), source: provider.label, error: "" };
+  } catch (err) {
+    const msg = `${err?.message || String(err)}${err?.attempts > 1 ? ` after ${err.attempts} attempts` : ""}`;
+    result = { raw: "", source: provider.label, error: msg };
+  }
+  if (providerKey !== "LOCAL") tafCache.set(cacheKey, { at: Date.now(), result });
+  return result;
+}
+
+/* DDHH (or DDHHMM) in the month closest to `ref`; hour 24 rolls to the next day */
+function tafTime(ddhh, ref = new Date()) {
+  const day = Number(ddhh.slice(0, 2));
+  const hour = Number(ddhh.slice(2, 4));
+  const minute = ddhh.length >= 6 ? Number(ddhh.slice(4, 6)) : 0;
+
+  let best = null;
+  for (const monthOffset of [-1, 0, 1]) {
+    const t = Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + monthOffset, day, hour, minute);
+    if (!best || Math.abs(t - ref.getTime()) < Math.abs(best - ref.getTime())) best = t;
+  }
+  return new Date(best);
+}
+
+function tafGroupConditions(text) {
+  const d = decodeMetar(text, { station: false });
+  const ceil = metarCeilingFt(d);
+  return {
+    wind: d.wind,
+    visSm: d.visibility ? d.visibility.sm : undefined,
+    // a group that lists no cloud layers keeps the prevailing ceiling
+    ceilingFt: d.clouds.length || Number.isFinite(d.verticalVisFt) ? ceil : undefined,
+    weather: d.weather.map(w => w.text),
+    nsw: /\bNSW\b/.test(text)
+  };
+}
+
+function parseTaf(raw, ref = new Date()) {
+  const text = norm(raw).toUpperCase().replace(/=$/, "");
+  const toks = text.split(/\s+/g).filter(Boolean);
+
+  let i = 0;
+  if (toks[i] === "TAF") i++;
+  const amended = toks[i] === "AMD" || toks[i] === "COR" ? toks[i++] : "";
+  const station = /^[A-Z][A-Z0-9]{3}$/.test(toks[i] || "") ? toks[i++] : "";
+  const issued = /^\d{6}Z$/.test(toks[i] || "") ? tafTime(toks[i++].slice(0, 6), ref) : null;
+
+  const validM = (toks[i] || "").match(/^(\d{4})\/(\d{4})$/);
+  if (!station || !validM) return { raw: text, station, error: "Unrecognised TAF", groups: [] };
+  i++;
+
+  const validFrom = tafTime(validM[1], ref);
+  const validTo = tafTime(validM[2], validFrom);
+
+  // split remaining tokens at group keywords
+  const groups = [];
+  let cur = { kind: "BASE", prob: NaN, from: validFrom, to: validTo, toks: [] };
+  const push = () => { if (cur) groups.push(cur); };
+
+  for (; i < toks.length; i++) {
+    const tok = toks[i];
+    let m;
+    if ((m = tok.match(/^FM(\d{6})$/))) {
+      push();
+      cur = { kind: "FM", prob: NaN, from: tafTime(m[1], validFrom), to: validTo, toks: [] };
+    } else if (tok === "TEMPO" || tok === "BECMG" || /^PROB\d{2}$/.test(tok)) {
+      push();
+      const prob = tok.startsWith("PROB") ? Number(tok.slice(4)) : NaN;
+      let kind = tok.startsWith("PROB") ? "PROB" : tok;
+      if (kind === "PROB" && toks[i + 1] === "TEMPO") { kind = "PROB TEMPO"; i++; }
+      const pm = (toks[i + 1] || "").match(/^(\d{4})\/(\d{4})$/);
+      if (pm) i++;
+      const from = pm ? tafTime(pm[1], validFrom) : validFrom;
+      cur = { kind, prob, from, to: pm ? tafTime(pm[2], from) : validTo, toks: [] };
+    } else if (tok === "RMK") {
+      break;
+    } else {
+      cur.toks.push(tok);
+    }
+  }
+  push();
+
+  // an FM group ends where the next one starts
+  const fms = groups.filter(g => g.kind === "BASE" || g.kind === "FM");
+  fms.forEach((g, idx) => { if (fms[idx + 1]) g.to = fms[idx + 1].from; });
+
+  return {
+    raw: text,
+    station,
+    amended,
+    issued,
+    validFrom,
+    validTo,
+    groups: groups.map(g => ({
+      kind: g.kind,
+      prob: g.prob,
+      from: g.from,
+      to: g.to,
+      text: g.toks.join(" "),
+      ...tafGroupConditions(g.toks.join(" "))
+    }))
+  };
+}
+
+function mergeTafConditions(base, over) {
+  return {
+    wind: over.wind || base.wind,
+    visSm: over.visSm !== undefined ? over.visSm : base.visSm,
+    ceilingFt: over.ceilingFt !== undefined ? over.ceilingFt : base.ceilingFt,
+    weather: over.weather.length || over.nsw ? over.weather : base.weather
+  };
+}
+
+/* prevailing conditions at time t: the FM/BASE group in force, with BECMG changes applied
+   once their window has ended. A BECMG still in progress may or may not have happened
+   yet, so it is returned with the TEMPO/PROB groups as an alternate, not applied. */
+function tafConditionsAt(taf, t) {
+  const ms = t.getTime();
+  const prevailing = taf.groups
+    .filter(g => (g.kind === "BASE" || g.kind === "FM") && g.from.getTime() <= ms)
+    .pop();
+  if (!prevailing || ms >= taf.validTo.getTime()) return null;
+
+  const becmg = taf.groups.filter(g => g.kind === "BECMG" && g.from.getTime() >= prevailing.from.getTime());
+
+  let cond = mergeTafConditions({ wind: null, visSm: undefined, ceilingFt: undefined, weather: [] }, prevailing);
+  for (const g of becmg) {
+    if (g.to.getTime() <= ms) cond = mergeTafConditions(cond, g);
+  }
+
+  const transitional = becmg.filter(g => g.from.getTime() <= ms && ms < g.to.getTime());
+  const temporary = [
+    ...transitional,
+    ...taf.groups.filter(g => (g.kind === "TEMPO" || g.kind.startsWith("PROB")) && g.from.getTime() <= ms && ms < g.to.getTime())
+  ].map(g => ({ group: g, cond: mergeTafConditions(cond, g) }));
+
+  return { cond, temporary };
+}
+
+function formatTafTime(d) {
+  return `${String(d.getUTCDate()).padStart(2, "0")}/${String(d.getUTCHours()).padStart(2, "0")}${String(d.getUTCMinutes()).padStart(2, "0")}Z`;
+}
+
+function describeTaf(taf) {
+  if (taf.error) return [taf.raw ? `${taf.error}: ${taf.raw}` : taf.error];
+
+  const source = taf.source ? ` (SRC ${taf.source})` : "";
+  const lines = [`TAF ${taf.station}${taf.amended ? ` ${taf.amended}` : ""} valid ${formatTafTime(taf.validFrom)}–${formatTafTime(taf.validTo)}${source}`];
+  for (const g of taf.groups) {
+    const label = g.kind === "BASE" ? "INITIAL" : g.kind.replace("PROB", `PROB${g.prob}`);
+    const parts = [
+      g.wind ? describeMetarWind(g.wind) : "",
+      g.visSm !== undefined ? `vis ${Math.round(g.visSm * 100) / 100} SM` : "",
+      g.ceilingFt !== undefined ? `ceiling ${Number.isFinite(g.ceilingFt) ? `${g.ceilingFt} ft` : "none"}` : "",
+      g.weather.length ? g.weather.join("; ") : g.nsw ? "no significant weather" : ""
+    ].filter(Boolean);
+    lines.push(`${label.padEnd(11)}${formatTafTime(g.from)}–${formatTafTime(g.to)}  ${parts.join(", ") || g.text}`);
+  }
+  return lines;
+}
+
+function renderMetarDecodedHtml(icao, metar, open = false, taf = null) {
+  const line = renderMetarLineHtml(icao, metar);
+  const text = norm(metar);
+  if (!text || /\((error|no METAR)\)$/.test(text)) return `<div>${line}</div>`;
+
+  const tafLines = taf ? ["", ...describeTaf(taf)] : [];
+  return `
+    <details class="wxDecoded" data-icao="${escHtml(norm(icao).toUpperCase())}" ${open ? "open" : ""}>
+      <summary>${line}</summary>
+      <pre class="wxDecodedBody">${escHtml([...describeMetar(decodeMetar(text)), ...tafLines].join("\n"))}</pre>
+    </details>
+  `;
+}
+
+/* parsed TAF tagged with its source; null when the source has none for the station */
+async function fetchParsedTaf(icao) {
+  const r = await fetchTaf(icao);
+  if (r.error) return { error: `TAF unavailable from ${r.source} (${r.error})`, raw: "", source: r.source };
+  return r.raw ? { ...parseTaf(r.raw), source: r.source } : null;
+}
+
+/* A poll can outlast the 60 s interval (retries, timeouts). Timer polls are skipped while
+   one is in flight; a manual or settings refresh starts a new run and the older run's
+   results are dropped, so an older METAR never renders or alerts after a newer one. */
+let wxRefreshSeq = 0;
+let wxRefreshBusy = false;
+
+async function refreshWx() {
+  const out = document.getElementById("wxOut");
+  if (!out) return;
+
+  const list = [...wxWatchlist];
+  const seq = ++wxRefreshSeq;
+  if (!list.length) { out.innerHTML = ""; return; }
+
+  // keep decoded views the user expanded open across refreshes
+  const openIcaos = new Set([...out.querySelectorAll(".wxDecoded[open]")].map(d => d.getAttribute("data-icao")));
+
+  out.textContent = "Fetching METARs...\n";
+
+  const concurrency = 5;
+  const results = new Array(list.length);
+  let i = 0;
+
+  async function worker() {
+    while (i < list.length) {
+      const idx = i++;
+      const icao = list[idx];
+      const taf = await fetchParsedTaf(icao);
+      const report = await fetchMetarReport(icao);
+      results[idx] = { icao, metar: report.raw, taf, report };
+    }
+  }
+
+  wxRefreshBusy = true;
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, list.length) }, worker));
+  } finally {
+    if (seq === wxRefreshSeq) wxRefreshBusy = false;
+  }
+  if (seq !== wxRefreshSeq) return;
+
+  for (const r of results) if (r?.report.ok) noteWxObservation(r.report);
+
+  out.innerHTML = results
+    .filter(Boolean)
+    .map((r, idx) => {
+      const sep = idx === 0 ? "" : `<div class="wxBlockLine"></div>`;
+      return `${sep}${renderMetarDecodedHtml(r.icao, r.metar, openIcaos.has(r.icao), r.taf)}${renderWxSourceHtml(r.report)}`;
+    })
+    .join("");
+}
+
+function wireWxPanel() {
+  const addInput = document.getElementById("wxAddInput");
+  const addBtn = document.getElementById("wxAddBtn");
+  const refreshBtn = document.getElementById("wxRefreshBtn");
+  const chips = document.getElementById("wxChips");
+
+  loadWxWatchlist();
+  renderWxChips();
+
+  if (addBtn && addInput) {
+    addBtn.addEventListener("click", () => {
+      const v = norm(addInput.value).toUpperCase();
+      if (!isLikelyIcao(v)) return;
+
+      if (!wxWatchlist.includes(v)) {
+        wxWatchlist.unshift(v);
+        wxWatchlist = wxWatchlist.slice(0, 20);
+        saveWxWatchlist();
+        renderWxChips();
+        refreshWx();
+      }
+      addInput.value = "";
+      addInput.focus();
+    });
+
+    addInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addBtn.click();
+    });
+  }
+
+  if (chips) {
+    chips.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-icao]");
+      if (!btn) return;
+      const icao = btn.getAttribute("data-icao");
+      wxWatchlist = wxWatchlist.filter(x => x !== icao);
+      saveWxWatchlist();
+      renderWxChips();
+      refreshWx();
+    });
+  }
+
+  if (refreshBtn) refreshBtn.addEventListener("click", refreshWx);
+
+  refreshWx();
+  setInterval(() => { if (!wxRefreshBusy) refreshWx(); }, 60000);
+}
+
+/* WX ALERTS
+   Each poll is compared with the last observation per station. New reports, category
+   changes, minima crossings and wind-driven config changes go to a timestamped log,
+   raise a banner until acknowledged and optionally play a chime. The first observation
+   of a station only seeds the comparison. */
+const WX_ALERTS_STORAGE_KEY = "ids4_wx_alerts_v1";
+const WX_ALERTS_DEFAULT = { chime: false, ceilingFt: 1000, visSm: 3 };
+const WX_ALERT_LOG_MAX = 200;
+
+let wxLastSeen = new Map();
+let wxAlertLog = [];
+let wxUnackedAlerts = 0;
+let wxAudioCtx = null;
+
+function getWxAlertSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WX_ALERTS_STORAGE_KEY) || "{}");
+    const out = { ...WX_ALERTS_DEFAULT };
+    if (typeof saved.chime === "boolean") out.chime = saved.chime;
+    for (const k of ["ceilingFt", "visSm"]) {
+      if (Number.isFinite(saved[k]) && saved[k] >= 0) out[k] = saved[k];
+    }
+    return out;
+  } catch {
+    return { ...WX_ALERTS_DEFAULT };
+  }
+}
+
+function saveWxAlertSettings(settings) {
+  localStorage.setItem(WX_ALERTS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/* `type` is the report type the provider gave (METAR, SPECI or "") */
+function wxSnapshot(metar, type = "") {
+  const text = norm(metar);
+  if (!text || /\((error|no METAR)\)$/.test(text)) return null;
+  const visSm = parseVisSM(text);
+  const ceilingFt = parseCeilFt(text);
+  return {
+    metar: text,
+    type: type || reportTypeFromRaw(text),
+    cat: flightCategoryFromValues(visSm, ceilingFt).cat,
+    visSm,
+    ceilingFt,
+    windRaw: parseWindFromMetar(text).raw,
+    obsMs: metarObsTime(text)?.getTime() ?? NaN
+  };
+}
+
+function formatMinimaValue(kind, v) {
+  if (!Number.isFinite(v)) return kind === "CEILING" ? "none" : "unrestricted";
+  return kind === "CEILING" ? `${v} ft` : `${Math.round(v * 100) / 100} SM`;
+}
+
+/* [{ kind, msg }] for what changed between two snapshots of the same station */
+function detectWxChanges(icao, prev, next, settings = getWxAlertSettings()) {
+  if (!prev || !next || prev.metar === next.metar) return [];
+
+  const events = [];
+  // the report type comes from the source; an unlabelled report is not guessed at
+  const kind = next.type || "NEW REPORT";
+  events.push({ kind, msg: `New ${next.type || "report"}: ${next.metar}` });
+
+  if (prev.cat !== next.cat) {
+    events.push({ kind: "CATEGORY", msg: `Flight category ${prev.cat} → ${next.cat}` });
+  }
+
+  const minima = [
+    { kind: "CEILING", key: "ceilingFt", min: settings.ceilingFt, unit: "ft" },
+    { kind: "VIS", key: "visSm", min: settings.visSm, unit: "SM" }
+  ];
+  for (const m of minima) {
+    const below = v => Number.isFinite(v) && v < m.min;
+    if (below(prev[m.key]) === below(next[m.key])) continue;
+    const label = m.kind === "VIS" ? "Visibility" : "Ceiling";
+    events.push({
+      kind: m.kind,
+      msg: below(next[m.key])
+        ? `${label} below ${m.min} ${m.unit} minimum (now ${formatMinimaValue(m.kind, next[m.key])})`
+        : `${label} back at or above ${m.min} ${m.unit} (now ${formatMinimaValue(m.kind, next[m.key])})`
+    });
+  }
+
+  return events;
+}
+
+/* Record an observation (a fetchMetarReport() result) and raise alerts for any changes.
+   `config` is the suggested config for the station, when known; it only alerts if the
+   wind changed with it, so editing the component limits does not look like a weather change. */
+function noteWxObservation(report, config) {
+  const id = norm(report.icao).toUpperCase();
+  const next = wxSnapshot(report.raw, report.type);
+  if (!next) return [];
+
+  const prev = wxLastSeen.get(id);
+  // a cached or lagging source can hand back an older report than the one already seen
+  if (prev && next.obsMs < prev.obsMs) return [];
+  const events = detectWxChanges(id, prev, next);
+
+  let tracked = { config: prev?.config, configWindRaw: prev?.configWindRaw };
+  if (config !== undefined) {
+    if (prev?.config && config && config !== prev.config && next.windRaw !== prev.configWindRaw) {
+      events.push({ kind: "CONFIG", msg: `Suggested config ${prev.config} → ${config} (wind ${next.windRaw || "n/a"})` });
+    }
+    tracked = { config, configWindRaw: next.windRaw };
+  }
+
+  wxLastSeen.set(id, { ...next, ...tracked });
+  raiseWxAlerts(id, events);
+  return events;
+}
+
+function raiseWxAlerts(icao, events) {
+  if (!events.length) return;
+
+  const at = new Date();
+  for (const e of events) wxAlertLog.unshift({ at, icao, ...e });
+  wxAlertLog = wxAlertLog.slice(0, WX_ALERT_LOG_MAX);
+  wxUnackedAlerts += events.length;
+
+  renderWxAlertLog();
+  renderWxAlertBanner(`${icao} ${events.map(e => e.kind).join(", ")} — ${events[0].msg}`);
+  if (getWxAlertSettings().chime) playWxChime();
+}
+
+function formatLogTime(d) {
+  const p = n => String(n).padStart(2, "0");
+  return `${p(d.getUTCHours())}${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}Z`;
+}
+
+function renderWxAlertLog() {
+  const out = document.getElementById("wxAlertLog");
+  if (!out) return;
+  out.innerHTML = wxAlertLog.length
+    ? wxAlertLog.map(e =>
+      `<div class="wxLogRow wxLog${escHtml(e.kind.replace(/\s+/g, ""))}">` +
+      `<span class="wxLogTime">${escHtml(formatLogTime(e.at))}</span> ` +
+      `<span class="wxIdent">${escHtml(e.icao)}</span> ` +
+      `<span class="wxLogKind">${escHtml(e.kind)}</span> ${escHtml(e.msg)}</div>`
+    ).join("")
+    : `<div class="runwayHint">No changes since the first poll.</div>`;
+}
+
+function renderWxAlertBanner(latest = "") {
+  const banner = document.getElementById("wxAlertBanner");
+  const on = wxUnackedAlerts > 0;
+  for (const id of ["boxWx", "boxAlerts"]) document.getElementById(id)?.classList.toggle("wxAlerting", on);
+  if (!banner) return;
+
+  banner.classList.toggle("isHidden", !on);
+  const text = banner.querySelector(".wxAlertText");
+  if (text && latest) text.textContent = `${wxUnackedAlerts} NEW — ${latest}`;
+}
+
+function acknowledgeWxAlerts() {
+  wxUnackedAlerts = 0;
+  renderWxAlertBanner();
+}
+
+function playWxChime() {
+  const Ctx = typeof window !== "undefined" ? (window.AudioContext || window.webkitAudioContext) : null;
+  if (!Ctx) return;
+  try {
+    wxAudioCtx ||= new Ctx();
+    if (wxAudioCtx.state === "suspended") wxAudioCtx.resume();
+    const t0 = wxAudioCtx.currentTime;
+    [880, 660].forEach((freq, i) => {
+      const osc = wxAudioCtx.createOscillator();
+      const gain = wxAudioCtx.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.0001, t0 + i * 0.25);
+      gain.gain.exponentialRampToValueAtTime(0.2, t0 + i * 0.25 + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, t0 + i * 0.25 + 0.22);
+      osc.connect(gain).connect(wxAudioCtx.destination);
+      osc.start(t0 + i * 0.25);
+      osc.stop(t0 + i * 0.25 + 0.25);
+    });
+  } catch {}
+}
+
+function wireWxAlertsPanel() {
+  const settings = getWxAlertSettings();
+  const ceilEl = document.getElementById("wxAlertCeil");
+  const visEl = document.getElementById("wxAlertVis");
+  const chimeEl = document.getElementById("wxAlertChime");
+
+  const numberFields = [[ceilEl, "ceilingFt"], [visEl, "visSm"]];
+  for (const [el, key] of numberFields) {
+    if (!el) continue;
+    el.value = String(settings[key]);
+    el.addEventListener("change", () => {
+      const next = getWxAlertSettings();
+      const v = Number(el.value);
+      if (Number.isFinite(v) && v >= 0) next[key] = v;
+      else el.value = String(next[key]);
+      saveWxAlertSettings(next);
+    });
+  }
+
+  if (chimeEl) {
+    chimeEl.checked = settings.chime;
+    chimeEl.addEventListener("change", () => {
+      saveWxAlertSettings({ ...getWxAlertSettings(), chime: chimeEl.checked });
+      // browsers only allow audio after a user gesture, so test it now
+      if (chimeEl.checked) playWxChime();
+    });
+  }
+
+  document.getElementById("wxAlertAckBtn")?.addEventListener("click", acknowledgeWxAlerts);
+  document.getElementById("wxAlertClearBtn")?.addEventListener("click", () => {
+    wxAlertLog = [];
+    acknowledgeWxAlerts();
+    renderWxAlertLog();
+  });
+
+  renderWxAlertLog();
+  renderWxAlertBanner();
+}
+
+/* RUNWAY + RVR same as prior (kept short here) */
+function parseWindFromMetar(metar) {
+  const m = norm(metar).toUpperCase();
+  const w = m.match(/\b(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?KT\b/);
+  if (!w) return { dir: "", spd: NaN, gust: NaN, raw: "" };
+  return { dir: w[1], spd: Number(w[2]), gust: w[3] ? Number(w[3]) : NaN, raw: w[0] };
+}
+
+/* RUNWAYS + WIND COMPONENTS
+   Runways.tsv holds heading, length and approaches per runway. METAR winds are true,
+   so components use HDG_TRUE. Gusts are applied to crosswind and tailwind checks. */
+const WIND_LIMITS_STORAGE_KEY = "ids4_wind_limits_v1";
+const WIND_LIMITS_DEFAULT = { tailwindKt: 5, crosswindKt: 20 };
+
+let runwaysRows = [];
+let runwaysByAirport = new Map();
+
+function buildRunwayMap(rows) {
+  runwaysByAirport = new Map();
+  for (const r of rows) {
+    const apt = norm(r.AIRPORT).toUpperCase();
+    if (!apt) continue;
+    if (!runwaysByAirport.has(apt)) runwaysByAirport.set(apt, []);
+    runwaysByAirport.get(apt).push({
+      id: norm(r.RUNWAY).toUpperCase(),
+      hdgMag: toNumberOrNaN(r.HDG_MAG),
+      hdgTrue: toNumberOrNaN(r.HDG_TRUE),
+      lengthFt: toNumberOrNaN(r.LENGTH_FT),
+      approaches: norm(r.APPROACHES)
+    });
+  }
+}
+
+function findRunway(icao, rwy) {
+  const key = normRwy(rwy);
+  return (runwaysByAirport.get(icao) || []).find(r => normRwy(r.id) === key) || null;
+}
+
+function getWindLimits() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WIND_LIMITS_STORAGE_KEY) || "{}");
+    const out = { ...WIND_LIMITS_DEFAULT };
+    for (const k of Object.keys(out)) {
+      if (Number.isFinite(saved[k]) && saved[k] >= 0) out[k] = saved[k];
+    }
+    return out;
+  } catch {
+    return { ...WIND_LIMITS_DEFAULT };
+  }
+}
+
+function saveWindLimits(limits) {
+  localStorage.setItem(WIND_LIMITS_STORAGE_KEY, JSON.stringify(limits));
+}
+
+/* headwind (+) / tailwind (-) and crosswind for a runway; VRB winds are assumed worst case */
+function windComponents(rwy, wind) {
+  const spd = Number(wind.spd);
+  const gust = Number.isFinite(wind.gust) ? wind.gust : spd;
+
+  if (wind.dir === "VRB") {
+    return { head: NaN, cross: spd, tail: spd, crossGust: gust, tailGust: gust, variable: true };
+  }
+
+  const angle = (Number(wind.dir) - rwy.hdgTrue) * Math.PI / 180;
+  const head = spd * Math.cos(angle);
+  const headGust = gust * Math.cos(angle);
+  return {
+    head,
+    cross: Math.abs(spd * Math.sin(angle)),
+    tail: Math.max(0, -head),
+    crossGust: Math.abs(gust * Math.sin(angle)),
+    tailGust: Math.max(0, -headGust),
+    crossSide: Math.sin(angle) >= 0 ? "R" : "L",
+    variable: false
+  };
+}
+
+/* Config_Rules.tsv lists candidate ATIS configs per airport in order of preference;
+   the first one whose runways all stay within the component limits wins.
+   WX restricts a rule to IMC or VMC (ANY = both). */
+let configRulesRows = [];
+let configRulesByAirport = new Map();
+
+function buildConfigRules(rows) {
+  configRulesByAirport = new Map();
+  for (const r of rows) {
+    const apt = norm(r.AIRPORT).toUpperCase();
+    const name = norm(r.ATIS_CONFIG);
+    if (!apt || !name) continue;
+    const wx = norm(r.WX).toUpperCase();
+    if (!configRulesByAirport.has(apt)) configRulesByAirport.set(apt, []);
+    configRulesByAirport.get(apt).push({
+      name,
+      dep: norm(r.DEP_RWYS).split(/\s+/).filter(Boolean),
+      arr: norm(r.ARR_RWYS).split(/\s+/).filter(Boolean),
+      only: wx === "IMC" || wx === "VMC" ? wx : ""
+    });
+  }
+}
+
+/* every rule must name a real ATIS config and runways that exist in Runways.tsv */
+function checkConfigRules(rows) {
+  const known = {
+    KLGA: new Set(lgaConfigRows.map(r => norm(r.LGA_ATIS_Config))),
+    KJFK: new Set(jfkConfigRows.map(r => norm(r.JFK_ATIS_Config)))
+  };
+  const errors = [];
+  rows.forEach((r, idx) => {
+    const row = idx + 2;
+    const apt = norm(r.AIRPORT).toUpperCase();
+    const name = norm(r.ATIS_CONFIG);
+    if (!known[apt]) {
+      errors.push({ row, msg: `Row ${row}: unknown AIRPORT "${apt}"` });
+      return;
+    }
+    if (!known[apt].has(name)) errors.push({ row, msg: `Row ${row}: "${name}" is not a ${apt} ATIS config` });
+    for (const rwy of `${norm(r.DEP_RWYS)} ${norm(r.ARR_RWYS)}`.split(/\s+/).filter(Boolean)) {
+      if (!findRunway(apt, rwy)) errors.push({ row, msg: `Row ${row}: runway ${rwy} not in Runways.tsv for ${apt}` });
+    }
+    const wx = norm(r.WX).toUpperCase();
+    if (wx && !["ANY", "IMC", "VMC"].includes(wx)) errors.push({ row, msg: `Row ${row}: WX "${wx}" (expected ANY, IMC or VMC)` });
+  });
+  return errors;
+}
+
+function evaluateConfigCandidate(icao, cand, wind, limits) {
+  const rwys = [...new Set([...cand.dep, ...cand.arr])].map(r => findRunway(icao, r)).filter(Boolean);
+  const comps = rwys.map(r => ({ rwy: r.id, ...windComponents(r, wind) }));
+
+  const worstTail = comps.reduce((w, c) => (c.tailGust > (w?.tailGust ?? -1) ? c : w), null);
+  const worstCross = comps.reduce((w, c) => (c.crossGust > (w?.crossGust ?? -1) ? c : w), null);
+
+  const violations = [];
+  if (worstTail && worstTail.tailGust > limits.tailwindKt) {
+    violations.push({ limit: "TAILWIND", rwy: worstTail.rwy, value: worstTail.tailGust, max: limits.tailwindKt });
+  }
+  if (worstCross && worstCross.crossGust > limits.crosswindKt) {
+    violations.push({ limit: "CROSSWIND", rwy: worstCross.rwy, value: worstCross.crossGust, max: limits.crosswindKt });
+  }
+
+  return { cand, comps, violations, excess: violations.reduce((s, v) => s + (v.value - v.max), 0) };
+}
+
+function describeViolation(v) {
+  return `${v.limit} ${v.value.toFixed(1)} KT on RWY ${v.rwy} > ${v.max} KT limit`;
+}
+
+/* { config, reason, evaluated } for a wind/category using the component limits */
+function suggestConfigByComponents(icao, wind, cat, limits = getWindLimits()) {
+  const cands = configRulesByAirport.get(icao);
+  if (!cands?.length || !wind || wind.dir === "" || !Number.isFinite(wind.spd)) return { config: "", reason: "", evaluated: [] };
+
+  const imc = /^(IFR|LIFR|IMC)$/.test(String(cat || "").toUpperCase());
+  const evaluated = cands
+    .filter(c => !c.only || c.only === (imc ? "IMC" : "VMC"))
+    .map(c => evaluateConfigCandidate(icao, c, wind, limits));
+
+  const pick = evaluated.find(e => !e.violations.length);
+  if (!pick) {
+    const best = [...evaluated].sort((a, b) => a.excess - b.excess)[0];
+    return {
+      config: best.cand.name,
+      reason: `No config within limits; least exceedance — ${best.violations.map(describeViolation).join(", ")}`,
+      evaluated
+    };
+  }
+
+  // the limits that ruled out every more-preferred config are what drove the choice
+  const skipped = evaluated.slice(0, evaluated.indexOf(pick));
+  return {
+    config: pick.cand.name,
+    reason: skipped.length
+      ? `Ruled out: ${skipped.map(e => `${e.cand.name} (${describeViolation(e.violations[0])})`).join("; ")}`
+      : `Preferred config; all runways within TAILWIND ${limits.tailwindKt} / CROSSWIND ${limits.crosswindKt} KT`,
+    evaluated
+  };
+}
+
+function renderRunwayComponentsHtml(icao, wind) {
+  const rwys = runwaysByAirport.get(icao) || [];
+  if (!rwys.length) return "";
+  const hasWind = wind && wind.dir !== "" && Number.isFinite(wind.spd);
+  const limits = getWindLimits();
+  const fmt = (steady, gust) => {
+    if (!Number.isFinite(steady)) return "VRB";
+    const s = steady.toFixed(0);
+    return Number.isFinite(wind.gust) && Math.round(gust) !== Math.round(steady) ? `${s}G${gust.toFixed(0)}` : s;
+  };
+
+  const rows = rwys.map(r => {
+    const c = hasWind ? windComponents(r, wind) : null;
+    const head = c && !c.variable ? Math.max(0, c.head) : NaN;
+    const headGust = c && !c.variable && Number.isFinite(wind.gust) ? Math.max(0, wind.gust * Math.cos((Number(wind.dir) - r.hdgTrue) * Math.PI / 180)) : head;
+    const tailCls = c && c.tailGust > limits.tailwindKt ? "compOver" : "";
+    const crossCls = c && c.crossGust > limits.crosswindKt ? "compOver" : "";
+    return `<tr>` +
+      `<td class="compRwy">${escHtml(r.id)}</td>` +
+      `<td>${String(r.hdgMag).padStart(3, "0")}°M / ${String(r.hdgTrue).padStart(3, "0")}°T</td>` +
+      `<td>${Number.isFinite(r.lengthFt) ? r.lengthFt.toLocaleString("en-US") : "—"}</td>` +
+      `<td>${c ? fmt(head, headGust) : "—"}</td>` +
+      `<td class="${crossCls}">${c ? `${fmt(c.cross, c.crossGust)}${c.crossSide || ""}` : "—"}</td>` +
+      `<td class="${tailCls}">${c ? fmt(c.tail, c.tailGust) : "—"}</td>` +
+      `<td class="compApch">${escHtml(r.approaches)}</td>` +
+      `</tr>`;
+  }).join("");
+
+  return `<table class="compTable"><thead><tr><th>RWY</th><th>HDG</th><th>LEN FT</th><th>HEAD</th><th>CROSS</th><th>TAIL</th><th>APPROACHES</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+let lastRunwayResults = [];
+let lastSuggestedConfigs = {};
+
+function wireWindLimits() {
+  const limits = getWindLimits();
+  const fields = { windTailLimit: "tailwindKt", windCrossLimit: "crosswindKt" };
+
+  for (const [id, key] of Object.entries(fields)) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    el.value = String(limits[key]);
+    el.addEventListener("change", () => {
+      const next = getWindLimits();
+      const v = Number(el.value);
+      if (Number.isFinite(v) && v >= 0) next[key] = v;
+      else el.value = String(next[key]);
+      saveWindLimits(next);
+      renderRunwayHelperResults(lastRunwayResults);
+    });
+  }
+}
+
+function windFromInputs(rawDir, rawSpd, rawGust) {
+  const dirStr = String(rawDir || "").toUpperCase();
+  if (!dirStr || !Number.isFinite(rawSpd)) return null;
+  if (dirStr === "VRB") return { dir: "VRB", spd: Number(rawSpd), gust: Number(rawGust) };
+  const dir = Number(dirStr);
+  if (!Number.isFinite(dir)) return null;
+  return { dir: ((dir % 360) + 360) % 360, spd: Number(rawSpd), gust: Number(rawGust) };
+}
+
+function lgaSuggestedConfigFromInputs(rawDir, rawSpd, rawCat, rawGust = NaN) {
+  const wind = windFromInputs(rawDir, rawSpd, rawGust);
+  return wind ? suggestConfigByComponents("KLGA", wind, rawCat).config : "";
+}
+
+function jfkSuggestedConfigFromInputs(rawDir, rawSpd, rawCat, rawGust = NaN) {
+  const wind = windFromInputs(rawDir, rawSpd, rawGust);
+  return wind ? suggestConfigByComponents("KJFK", wind, rawCat).config : "";
+}
+
+function renderRunwayHelperBlock(icao, metar, taf = null, report = null) {
+  const id = norm(icao).toUpperCase();
+  const m = norm(metar);
+
+  const { cat } = flightCategory(m);
+  const wind = parseWindFromMetar(m);
+  const w = windFromInputs(wind.dir, wind.spd, wind.gust);
+  const suggestion = w ? suggestConfigByComponents(id, w, cat) : { config: "", reason: "" };
+  const config = suggestion.config || "—";
+  lastSuggestedConfigs[id] = suggestion.config;
+
+  const metarLine = renderMetarLineHtml(id, m);
+  const windLine = wind.raw
+    ? `<div class="runwayHint">WIND: ${escHtml(wind.raw)}</div>`
+    : `<div class="runwayHint">WIND: (not found in METAR)</div>`;
+  const reasonLine = suggestion.reason ? `<div class="runwayHint runwayReason">${escHtml(suggestion.reason)}</div>` : "";
+
+  return `
+    <div>${metarLine}</div>
+    ${renderWxSourceHtml(report)}
+    ${windLine}
+    ${w ? renderRunwayComponentsHtml(id, w) : ""}
+    <div class="runwayHint">SUGGESTED AIRPORT CONFIGURATION - <span class="runwayConfig">${escHtml(config)}</span></div>
+    ${reasonLine}
+    ${renderConfigTimelineHtml(id, taf)}
+  `;
+}
+
+/* same in-flight rules as refreshWx */
+let runwayRefreshSeq = 0;
+let runwayRefreshBusy = false;
+
+async function refreshRunwayHelper() {
+  const out = document.getElementById("runwayOut");
+  if (!out) return;
+  const seq = ++runwayRefreshSeq;
+
+  out.textContent = "Fetching KLGA / KJFK METAR...\n";
+
+  const airports = ["KLGA", "KJFK"];
+  const results = [];
+
+  runwayRefreshBusy = true;
+  try {
+    for (const a of airports) {
+      const taf = await fetchParsedTaf(a);
+      const report = await fetchMetarReport(a);
+      results.push({ a, metar: report.raw, ok: report.ok, taf, report });
+    }
+  } finally {
+    if (seq === runwayRefreshSeq) runwayRefreshBusy = false;
+  }
+  if (seq !== runwayRefreshSeq) return;
+
+  lastRunwayResults = results;
+  renderRunwayHelperResults(results);
+  for (const r of results) if (r.ok) noteWxObservation(r.report, lastSuggestedConfigs[r.a] ?? "");
+}
+
+function renderRunwayHelperResults(results) {
+  const out = document.getElementById("runwayOut");
+  if (!out || !results.length) return;
+
+  lastSuggestedConfigs = {};
+  out.innerHTML = results.map((r, idx) => {
+    const sep = idx === 0 ? "" : `<div class="runwayBlockLine"></div>`;
+    if (!r.ok) {
+      const why = r.report?.error ? "(error fetching METAR)" : "(no METAR)";
+      return `${sep}<div><span class="runwayIdent">${escHtml(r.a)}</span> <span class="runwayHint">${why}</span></div>${renderWxSourceHtml(r.report)}`;
+    }
+    return `${sep}<div>${renderRunwayHelperBlock(r.a, r.metar, r.taf, r.report)}</div>`;
+  }).join("");
+
+  const applyBtn = document.getElementById("runwayApplyBtn");
+  if (applyBtn) applyBtn.disabled = !Object.values(lastSuggestedConfigs).some(Boolean);
+}
+
+/* select the suggested ATIS configs in the departure inputs and re-run the tool */
+function applySuggestedConfigs() {
+  const note = document.getElementById("runwayApplyNote");
+  const targets = { KLGA: "lgaConfig", KJFK: "jfkConfig" };
+  const applied = [];
+  const missing = [];
+
+  for (const [icao, selId] of Object.entries(targets)) {
+    const config = lastSuggestedConfigs[icao];
+    const sel = document.getElementById(selId);
+    if (!config || !sel) continue;
+    if ([...sel.options].some(o => o.value === config)) {
+      sel.value = config;
+      // listeners such as the config briefing only hear user edits through "change"
+      sel.dispatchEvent(new Event("change"));
+      applied.push(`${icao}: ${config}`);
+    } else {
+      missing.push(`${icao}: ${config}`);
+    }
+  }
+
+  if (note) {
+    note.textContent = applied.length
+      ? `APPLIED ${applied.join(", ")}${missing.length ? ` — not in config list: ${missing.join(", ")}` : ""}`
+      : "Nothing to apply.";
+  }
+  if (applied.length) runTool();
+}
+
+function wireRunwayHelperPanel() {
+  const refreshBtn = document.getElementById("runwayRefreshBtn");
+  if (refreshBtn) refreshBtn.addEventListener("click", refreshRunwayHelper);
+  const applyBtn = document.getElementById("runwayApplyBtn");
+  if (applyBtn) {
+    applyBtn.disabled = true;
+    applyBtn.addEventListener("click", applySuggestedConfigs);
+  }
+  refreshRunwayHelper();
+  setInterval(() => { if (!runwayRefreshBusy) refreshRunwayHelper(); }, 60000);
+}
+
+/* CONFIG TIMELINE
+   Runs the suggested-config logic over each hour of the TAF. Consecutive hours with
+   the same prevailing config (and the same TEMPO/PROB/in-progress BECMG alternates)
+   collapse into one row. */
+const CONFIG_TIMELINE_HOURS = 24;
+
+function suggestedConfigFor(icao, cond) {
+  if (!cond || !cond.wind) return "";
+  const dir = cond.wind.dir === "VRB" ? "VRB" : String(cond.wind.dir).padStart(3, "0");
+  const { cat } = flightCategoryFromValues(cond.visSm, cond.ceilingFt);
+  if (icao === "KLGA") return lgaSuggestedConfigFromInputs(dir, cond.wind.spd, cat, cond.wind.gust);
+  if (icao === "KJFK") return jfkSuggestedConfigFromInputs(dir, cond.wind.spd, cat, cond.wind.gust);
+  return "";
+}
+
+function buildConfigTimeline(icao, taf, now = new Date(), hours = CONFIG_TIMELINE_HOURS) {
+  if (!taf || taf.error) return [];
+
+  const start = new Date(now);
+  start.setUTCMinutes(0, 0, 0);
+  const end = Math.min(start.getTime() + hours * 3600000, taf.validTo.getTime());
+
+  const rows = [];
+  for (let t = start.getTime(); t < end; t += 3600000) {
+    const at = tafConditionsAt(taf, new Date(t));
+    if (!at) continue;
+
+    const config = suggestedConfigFor(icao, at.cond) || "—";
+    const alternates = [...new Set(
+      at.temporary
+        .map(x => ({ label: x.group.kind.replace("PROB", `PROB${x.group.prob}`), config: suggestedConfigFor(icao, x.cond) }))
+        .filter(x => x.config && x.config !== config)
+        .map(x => `${x.label}: ${x.config}`)
+    )];
+
+    const last = rows[rows.length - 1];
+    if (last && last.config === config && last.alternates.join("|") === alternates.join("|") && last.to.getTime() === t) {
+      last.to = new Date(t + 3600000);
+    } else {
+      rows.push({
+        from: new Date(t),
+        to: new Date(t + 3600000),
+        config,
+        alternates,
+        wind: at.cond.wind ? describeMetarWind(at.cond.wind) : "(no wind)",
+        cat: flightCategoryFromValues(at.cond.visSm, at.cond.ceilingFt).cat
+      });
+    }
+  }
+  return rows;
+}
+
+function renderConfigTimelineHtml(icao, taf) {
+  if (!taf) return `<div class="runwayHint">FORECAST: (no TAF)</div>`;
+  if (taf.error) return `<div class="runwayHint">FORECAST: ${escHtml(taf.error)}</div>`;
+
+  const rows = buildConfigTimeline(icao, taf);
+  if (!rows.length) return `<div class="runwayHint">FORECAST: TAF does not cover the next ${CONFIG_TIMELINE_HOURS} hours</div>`;
+
+  // runwayOut is a <pre>, so keep the markup free of stray whitespace
+  const isChange = (r, idx) => idx > 0 && r.config !== rows[idx - 1].config;
+  const changes = rows.filter(isChange).length;
+  const head = `<div class="runwayHint">FORECAST CONFIG (TAF ${escHtml(formatTafTime(taf.issued || taf.validFrom))}${taf.source ? `, SRC ${escHtml(taf.source)}` : ""}) — ` +
+    `${changes ? `${changes} change${changes === 1 ? "" : "s"}` : "no change"} in next ${CONFIG_TIMELINE_HOURS}h</div>`;
+
+  return head + rows.map((r, idx) =>
+    `<div class="tlRow ${isChange(r, idx) ? "tlChange" : ""}">` +
+    `<span class="tlTime">${escHtml(formatTafTime(r.from))}–${escHtml(formatTafTime(r.to))}</span> ` +
+    `<span class="runwayConfig">${escHtml(r.config)}</span> ` +
+    `<span class="tlWx">${escHtml(r.cat)} · ${escHtml(r.wind)}</span>` +
+    r.alternates.map(alt => `<div class="tlAlt">${escHtml(alt)}</div>`).join("") +
+    `</div>`
+  ).join("");
+}
+
+/* RVR (disabled display but saved chips) */
+const RVR_STORAGE_KEY = "ids4_rvr_watchlist_v1";
+let rvrWatchlist = [];
+
+function loadRvrWatchlist() {
+  try {
+    const raw = localStorage.getItem(RVR_STORAGE_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    if (Array.isArray(arr)) rvrWatchlist = arr.map(x => norm(x).toUpperCase()).filter(Boolean);
+    else rvrWatchlist = [];
+  } catch { rvrWatchlist = []; }
+  if (!rvrWatchlist.length) rvrWatchlist = ["LGA", "JFK", "EWR"];
+}
+function saveRvrWatchlist(){ localStorage.setItem(RVR_STORAGE_KEY, JSON.stringify(rvrWatchlist)); }
+function renderRvrChips(){
+  const wrap = document.getElementById("rvrChips");
+  if (!wrap) return;
+  wrap.innerHTML = rvrWatchlist.map(apt => `
+    <div class="rvrChip">
+      <span>${escHtml(apt)}</span>
+      <button type="button" data-apt="${escHtml(apt)}">X</button>
+    </div>
+  `).join("");
+}
+function faaRvrUrl(apt){
+  const a = norm(apt).toUpperCase();
+  return `https://rvr.data.faa.gov/cgi-bin/rvr-details.pl?content=table&airport=${encodeURIComponent(a)}&rrate=medium&layout=2x2&gifsize=large&fontsize=large&fs=lg`;
+}
+function renderRvrBlockHtml(apt){
+  const a = norm(apt).toUpperCase();
+  const link = faaRvrUrl(a);
+  return `
+    <div><span class="rvrIdent">${escHtml(a)}</span>  (disabled)</div>
+    <div class="rvrHint">RVR monitor is currently disabled.</div>
+    <div style="margin-top:6px;"><a class="rvrLink" href="${escHtml(link)}" target="_blank" rel="noopener">Open FAA RVR page</a></div>
+  `;
+}
+async function refreshRvr(){
+  const out = document.getElementById("rvrOut");
+  if (!out) return;
+  if (!rvrWatchlist.length) { out.innerHTML = ""; return; }
+  out.innerHTML = rvrWatchlist.map((apt, idx) => {
+    const sep = idx === 0 ? "" : `<div class="rvrBlockLine"></div>`;
+    return `${sep}<div>${renderRvrBlockHtml(apt)}</div>`;
+  }).join("");
+}
+function wireRvrPanel(){
+  const addInput = document.getElementById("rvrAddInput");
+  const addBtn = document.getElementById("rvrAddBtn");
+  const refreshBtn = document.getElementById("rvrRefreshBtn");
+  const chips = document.getElementById("rvrChips");
+
+  loadRvrWatchlist();
+  renderRvrChips();
+
+  if (addBtn && addInput) {
+    addBtn.addEventListener("click", () => {
+      const v = norm(addInput.value).toUpperCase();
+      if (!isLikelyIcao(v)) return;
+      if (!rvrWatchlist.includes(v)) {
+        rvrWatchlist.unshift(v);
+        rvrWatchlist = rvrWatchlist.slice(0, 15);
+        saveRvrWatchlist();
+        renderRvrChips();
+        refreshRvr();
+      }
+      addInput.value = "";
+      addInput.focus();
+    });
+    addInput.addEventListener("keydown", (e) => { if (e.key === "Enter") addBtn.click(); });
+  }
+
+  if (chips) {
+    chips.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-apt]");
+      if (!btn) return;
+      const apt = btn.getAttribute("data-apt");
+      rvrWatchlist = rvrWatchlist.filter(x => x !== apt);
+      saveRvrWatchlist();
+      renderRvrChips();
+      refreshRvr();
+    });
+  }
+
+  if (refreshBtn) refreshBtn.addEventListener("click", refreshRvr);
+  refreshRvr();
+  setInterval(refreshRvr, 60000);
+}
+
+/* SIDS
+   SIDs.tsv is keyed by PROCEDURE + TRANSITION (blank TRANSITION = no transition,
+   e.g. "LGA7 Departure; fly heading 340" or an RNAV SID like "TNNIS#"). */
+let sidsRows = [];
+let sidByKey = new Map();
+
+function sidKey(procedure, transition) {
+  return `${norm(procedure).toUpperCase()}.${norm(transition).toUpperCase()}`;
+}
+
+function buildSidMap(rows) {
+  sidByKey = new Map();
+  for (const r of rows) {
+    const key = sidKey(r.PROCEDURE, r.TRANSITION);
+    if (norm(r.PROCEDURE) && !sidByKey.has(key)) sidByKey.set(key, r);
+  }
+}
+
+/* "LGA7.WHITESTONE" -> LGA7 / WHITESTONE, "LGA7 Departure; fly heading 340" -> LGA7 / "" */
+function parseProcedure(procStr) {
+  const head = norm(norm(procStr).split(";")[0]).replace(/\s+DEPARTURE$/i, "").toUpperCase();
+  const [procedure, ...rest] = head.split(".");
+  return { procedure: norm(procedure), transition: norm(rest.join(".")) };
+}
+
+function formatAltFt(v) {
+  const n = Number(norm(v));
+  return Number.isFinite(n) && norm(v) ? n.toLocaleString("en-US") : norm(v);
+}
+
+function getSidInfo(procStr) {
+  const { procedure, transition } = parseProcedure(procStr);
+  if (!procedure) return { sid: null, procedure, transition, warning: "" };
+
+  const sid = sidByKey.get(sidKey(procedure, transition)) || null;
+  const warning = sid
+    ? ""
+    : `Procedure "${norm(procStr)}" is not in SIDs.tsv (${procedure}${transition ? "." + transition : ""}); climb instruction unknown`;
+
+  return { sid, procedure, transition, warning };
+}
+
+function climbTextFromSid(sid) {
+  if (!sid) return "UNKNOWN PROCEDURE";
+  if (norm(sid.CLIMB).toUpperCase() === "VIA") return "CLIMB VIA SID";
+  return `CLIMB AND MAINTAIN ${formatAltFt(sid.INITIAL_ALT)}`;
+}
+
+function climbTextFromProcedure(procStr) {
+  return climbTextFromSid(getSidInfo(procStr).sid);
+}
+
+function expectTextFromSid(sid) {
+  if (!sid || !norm(sid.EXPECT_ALT)) return "";
+  const alt = norm(sid.EXPECT_ALT).toUpperCase() === "FILED" ? "FILED ALTITUDE" : formatAltFt(sid.EXPECT_ALT);
+  const min = norm(sid.EXPECT_MIN);
+  return min ? `EXPECT ${alt} ${min} MINUTES AFTER DEPARTURE` : `EXPECT ${alt}`;
+}
+
+function isRnavSid(sid) {
+  return !!sid && /^(Y|YES|TRUE|1)$/i.test(norm(sid.RNAV_REQ));
+}
+
+/* DROPDOWNS + DERIVED */
+function populateDropdowns() {
+  const lgaSel = document.getElementById("lgaConfig");
+  const jfkSel = document.getElementById("jfkConfig");
+  if (!lgaSel || !jfkSel) return;
+
+  lgaSel.innerHTML = lgaConfigRows.map(r =>
+    `<option value="${escHtml(r.LGA_ATIS_Config)}">${escHtml(r.LGA_ATIS_Config)}</option>`
+  ).join("");
+
+  jfkSel.innerHTML = jfkConfigRows.map(r =>
+    `<option value="${escHtml(r.JFK_ATIS_Config)}">${escHtml(r.JFK_ATIS_Config)}</option>`
+  ).join("");
+}
+
+function getGateDirection(exitFix) {
+  const ef = norm(exitFix).toUpperCase();
+  const row = gatesRows.find(r => norm(r.Gate).toUpperCase() === ef);
+  return row ? norm(row.Direction) : "";
+}
+
+/* "RNAV X 31 - DEP 4" -> approach "RNAV X 31", type RNAV, landing runway 31 */
+function parseLgaConfigName(lgaConfig) {
+  const approach = norm(norm(lgaConfig).split(/\s+-\s+DEP\b/i)[0]);
+  const rwy = approach.match(/(\d{1,2}[LRC]?)\s*$/i);
+  const type = approach.match(/^([A-Z]+)/i);
+  return {
+    approach,
+    apchType: type ? type[1].toUpperCase() : "",
+    ldgRwy: rwy ? normRwy(rwy[1]) : ""
+  };
+}
+
+function getLgaDerived(lgaConfig) {
+  const row = lgaConfigRows.find(r => norm(r.LGA_ATIS_Config) === norm(lgaConfig));
+  const { approach, ldgRwy } = parseLgaConfigName(row ? row.LGA_ATIS_Config : "");
+  return {
+    depRwy: row ? norm(row.DEP_RWY) : "",
+    ldgClass: row ? norm(row.LGA_LDG_CLASS) : "",
+    approach,
+    ldgRwy
+  };
+}
+
+function getAirspaceFromJfkConfig(jfkConfig) {
+  const row = jfkConfigRows.find(r => norm(r.JFK_ATIS_Config) === norm(jfkConfig));
+  return { jfkAirspace: row ? norm(row.JFK_AIRSPACE) : "", lgaAirspace: row ? norm(row.LGA_AIRSPACE) : "" };
+}
+
+function buildRuleInputs(lgaConfig, jfkConfig, exitFix, acftType) {
+  const fix = norm(exitFix).toUpperCase();
+  const { depRwy, ldgClass, approach, ldgRwy } = getLgaDerived(lgaConfig);
+  const { jfkAirspace, lgaAirspace } = getAirspaceFromJfkConfig(jfkConfig);
+
+  return {
+    LGA_CONFIG: norm(lgaConfig),
+    LGA_APPROACH: approach,
+    LGA_LDG_RWY: ldgRwy,
+    DEP_RWY: depRwy,
+    LGA_LDG_CLASS: ldgClass,
+    LGA_AIRSPACE: lgaAirspace,
+    JFK_AIRSPACE: jfkAirspace,
+    EXIT_GATE_DIR: getGateDirection(fix),
+    EXIT_FIX: fix,
+    ACFT_TYPE: acftType
+  };
+}
+
+/* ARRIVAL EXCEPTIONS
+   ARRIVAL_EXCEPTION holds one or more clauses separated by ";":
+     <OUTPUT> IF <cond> [OR <cond> ...]
+   where each <cond> is one or more terms joined by AND:
+     LAND <rwy>            LGA landing runway, taken from the ATIS config name
+     APCH <type> [<rwy>]   LGA approach type, optionally with its runway
+     CONFIG <name>         exact LGA ATIS config
+     CLASS <ldg class>     LGA_LDG_CLASS
+   e.g. "TNNIS# IF LAND 4 OR APCH RNAV 13 OR APCH RIVER 13".
+   The first clause that holds replaces the rule's OUTPUT. */
+function normRwy(v) {
+  return norm(v).toUpperCase().replace(/^0+(?=\d)/, "");
+}
+
+function parseArrivalTerm(text) {
+  const m = norm(text).match(/^(LAND|APCH|CONFIG|CLASS)\s+(.+)$/i);
+  if (!m) throw new Error(`bad condition "${norm(text)}" (expected LAND, APCH, CONFIG or CLASS)`);
+
+  const kind = m[1].toUpperCase();
+  const arg = norm(m[2]);
+
+  if (kind === "LAND") {
+    if (!/^\d{1,2}[LRC]?$/i.test(arg)) throw new Error(`bad runway "${arg}" in "${norm(text)}"`);
+    return { kind, rwy: normRwy(arg) };
+  }
+  if (kind === "APCH") {
+    const a = arg.match(/^([A-Z]+)(?:\s+(\d{1,2}[LRC]?))?$/i);
+    if (!a) throw new Error(`bad approach "${arg}" in "${norm(text)}"`);
+    return { kind, type: a[1].toUpperCase(), rwy: a[2] ? normRwy(a[2]) : "" };
+  }
+  return { kind, value: arg.toUpperCase() };
+}
+
+function parseArrivalException(text) {
+  const src = norm(text);
+  if (!src) return [];
+
+  return src.split(/\s*;\s*/g).filter(Boolean).map(clause => {
+    const m = clause.match(/^(\S+)\s+IF\s+(.+)$/i);
+    if (!m) throw new Error(`"${clause}" is not "<OUTPUT> IF <condition>"`);
+    const anyOf = m[2].split(/\s+OR\s+/i).map(c =>
+      c.split(/\s+AND\s+/i).map(parseArrivalTerm)
+    );
+    return { text: clause, output: m[1], anyOf };
+  });
+}
+
+const arrivalExceptionCache = new Map();
+
+function compileArrivalException(text) {
+  const key = norm(text);
+  if (!arrivalExceptionCache.has(key)) {
+    try {
+      arrivalExceptionCache.set(key, { clauses: parseArrivalException(key), error: "" });
+    } catch (err) {
+      arrivalExceptionCache.set(key, { clauses: [], error: err.message });
+    }
+  }
+  return arrivalExceptionCache.get(key);
+}
+
+function evalArrivalTerm(term, inputs) {
+  const ldgRwy = normRwy(inputs.LGA_LDG_RWY);
+  switch (term.kind) {
+    case "LAND": return !!ldgRwy && ldgRwy === term.rwy;
+    case "APCH": {
+      const { apchType } = parseLgaConfigName(inputs.LGA_APPROACH);
+      return apchType === term.type && (!term.rwy || ldgRwy === term.rwy);
+    }
+    case "CONFIG": return norm(inputs.LGA_CONFIG).toUpperCase() === term.value;
+    case "CLASS": return norm(inputs.LGA_LDG_CLASS).toUpperCase() === term.value;
+    default: return false;
+  }
+}
+
+/* returns the rule as the engine should use it, with OUTPUT overridden when an exception holds */
+function applyArrivalException(rule, inputs) {
+  const { clauses } = compileArrivalException(rule.ARRIVAL_EXCEPTION);
+  const hit = clauses.find(c => c.anyOf.some(all => all.every(t => evalArrivalTerm(t, inputs))));
+  if (!hit) return { rule, exception: null };
+  return { rule: { ...rule, OUTPUT: hit.output, BASE_OUTPUT: rule.OUTPUT }, exception: hit };
+}
+
+/* one entry per row whose ARRIVAL_EXCEPTION does not parse */
+function checkArrivalExceptions(rows) {
+  const errors = [];
+  rows.forEach((r, idx) => {
+    const { error } = compileArrivalException(r.ARRIVAL_EXCEPTION);
+    if (error) errors.push({ row: idx + 2, msg: `Row ${idx + 2}: ARRIVAL_EXCEPTION ${error}` });
+  });
+  return errors;
+}
+
+/* Dep_Rules.tsv column -> input key, in the order the engine checks them */
+const DEP_RULE_FIELDS = [
+  { col: "DEP_RWY",           input: "DEP_RWY",       label: "RWY",    match: matchField },
+  { col: "LGA_AIRSPACE_REQ",  input: "LGA_AIRSPACE",  label: "LGA AS", match: matchAirspace },
+  { col: "JFK_AIRSPACE_REQ",  input: "JFK_AIRSPACE",  label: "JFK AS", match: matchAirspace },
+  { col: "EXIT_GATE_DIR",     input: "EXIT_GATE_DIR", label: "DIR",    match: matchField },
+  { col: "EXIT_FIX_REQ",      input: "EXIT_FIX",      label: "FIX",    match: matchField },
+  { col: "ACFT_TYPE",         input: "ACFT_TYPE",     label: "ACFT",   match: matchField },
+  { col: "LGA_LDG_CLASS_REQ", input: "LGA_LDG_CLASS", label: "LDG",    match: matchField }
+];
+
+function evalDepartureRule(rule, inputs) {
+  const fields = DEP_RULE_FIELDS.map(f => {
+    const req = norm(rule[f.col]);
+    const actual = norm(inputs[f.input]);
+    return { col: f.col, label: f.label, req, actual, ok: f.match(req, actual) };
+  });
+  return { rule, fields, ok: fields.every(f => f.ok) };
+}
+
+function depRulePriority(rule) {
+  return Number(rule.PRIORITY);
+}
+
+/* every rule for the selected DEP_RWY, with per-field results and tie info */
+function traceDepartureRules(inputs, rulesRows = depRulesRows) {
+  const rows = rulesRows
+    .map((r, idx) => ({ ROW: idx + 2, ...evalDepartureRule(r, inputs) }))
+    .filter(t => matchField(t.rule.DEP_RWY, inputs.DEP_RWY));
+
+  // Array.sort is stable, so equal PRIORITY keeps Dep_Rules.tsv order
+  const matched = rows.filter(t => t.ok)
+    .sort((a, b) => depRulePriority(a.rule) - depRulePriority(b.rule));
+
+  const winner = matched[0] || null;
+  const ties = winner
+    ? matched.filter(t => depRulePriority(t.rule) === depRulePriority(winner.rule))
+    : [];
+
+  const tieBreak = ties.length > 1
+    ? `${ties.length} rules tied at PRIORITY ${winner.rule.PRIORITY}; row ${winner.ROW} wins as the first in Dep_Rules.tsv order`
+    : "";
+
+  const { rule: effective, exception } = winner
+    ? applyArrivalException(winner.rule, inputs)
+    : { rule: null, exception: null };
+
+  return { inputs, rows, matched, winner, ties, tieBreak, effective, exception };
+}
+
+function pickDepartureRule(inputs) {
+  return traceDepartureRules(inputs).effective;
+}
+
+/* rule is the selected departure rule; its REROUTE notes amend each route.
+   With an aircraft profile, rows it may not fly carry INELIGIBLE reasons and sort last. */
+function getRoutes(dest, rule = null, profile = null) {
+  const d = norm(dest).toUpperCase();
+  if (!d) return [];
+  const reroutes = rule ? parseRerouteDirectives(rule.NOTES) : [];
+
+  const rows = routesRows.filter(r =>
+    norm(r.Origin).toUpperCase() === "KLGA" &&
+    norm(r.Destination).toUpperCase() === d
+  ).map(r => {
+    let out = r;
+    if (reroutes.length) {
+      const amended = applyReroutes(r.Route, reroutes);
+      if (amended.applied.length) out = { ...out, AMENDED: amended };
+    }
+    if (profile) {
+      const reasons = prdIneligibility(r, profile);
+      if (reasons.length) out = { ...out, INELIGIBLE: reasons };
+    }
+    return out;
+  });
+
+  return rows.filter(r => !r.INELIGIBLE).concat(rows.filter(r => r.INELIGIBLE));
+}
+
+/* RULE TRACE */
+function renderRuleTraceHtml(trace) {
+  const rwy = norm(trace.inputs.DEP_RWY) || "(unknown)";
+  if (!trace.rows.length) {
+    return `<div class="console" style="min-height:auto;">No Dep_Rules.tsv rows for DEP RWY ${escHtml(rwy)}.</div>`;
+  }
+
+  const tieRows = new Set(trace.ties.map(t => t.ROW));
+
+  const head = `
+    <tr>
+      <th>Row</th>
+      <th>Pri</th>
+      <th>Result</th>
+      ${DEP_RULE_FIELDS.map(f => `<th>${escHtml(f.label)}</th>`).join("")}
+      <th>Output</th>
+    </tr>
+    <tr class="traceActual">
+      <td colspan="3">ACTUAL</td>
+      ${DEP_RULE_FIELDS.map(f => `<td>${escHtml(norm(trace.inputs[f.input]) || "(blank)")}</td>`).join("")}
+      <td></td>
+    </tr>
+  `;
+
+  const body = trace.rows.map(t => {
+    const isWin = trace.winner && t.ROW === trace.winner.ROW;
+    let result = "NO MATCH";
+    let cls = "traceMiss";
+    if (isWin) { result = "SELECTED"; cls = "traceWin"; }
+    else if (tieRows.has(t.ROW)) { result = "TIED"; cls = "traceTie"; }
+    else if (t.ok) { result = "MATCH"; cls = "traceMatch"; }
+
+    const cells = t.fields.map(f => {
+      const title = `required: ${f.req || "(blank)"} / actual: ${f.actual || "(blank)"}`;
+      return `<td class="${f.ok ? "traceOk" : "traceFail"}" title="${escHtml(title)}">${f.ok ? "✓" : "✗"} ${escHtml(f.req || "(blank)")}</td>`;
+    }).join("");
+
+    return `
+      <tr class="${cls}">
+        <td>${t.ROW}</td>
+        <td>${escHtml(t.rule.PRIORITY || "-")}</td>
+        <td>${result}</td>
+        ${cells}
+        <td>${escHtml(norm(t.rule.OUTPUT) || "-")}</td>
+      </tr>
+    `;
+  }).join("");
+
+  const summary =
+    `RULE TRACE — ${trace.rows.length} row(s) for DEP RWY ${escHtml(rwy)}, ${trace.matched.length} matched`;
+  const tieLine = trace.tieBreak
+    ? `<div class="traceNote">TIE: ${escHtml(trace.tieBreak)}</div>`
+    : "";
+  const excLine = trace.exception
+    ? `<div class="traceNote">ARRIVAL EXCEPTION: row ${trace.winner.ROW} "${escHtml(trace.exception.text)}" holds; ` +
+      `OUTPUT ${escHtml(norm(trace.winner.rule.OUTPUT))} → ${escHtml(trace.exception.output)}</div>`
+    : "";
+
+  return `
+    <details class="ruleTrace">
+      <summary>${summary}</summary>
+      ${tieLine}
+      ${excLine}
+      <div class="tableWrap">
+        <table class="routesTable traceTable">
+          <thead>${head}</thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    </details>
+  `;
+}
+
+/* DATA DIAGNOSTICS
+   DOM-free so the same checks run from the console or under node
+   (see module.exports at the bottom). */
+const DIAG_ACFT_TYPES = ["Jet", "Prop"];
+
+function airspaceParts(val) {
+  return norm(val).toUpperCase().split(/\s*\+\s*|\s*,\s*|\s*&\s*/g).map(s => s.trim()).filter(Boolean);
+}
+
+function isWildcard(val) {
+  const v = norm(val);
+  return v === "*" || v === "";
 }
 
-async function fetchVatsimMetar(icao) {
-  const id = norm(icao).toUpperCase();
-  const url = `https://metar.vatsim.net/metar.php?id=${encodeURIComponent(id)}`;
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`METAR fetch failed (${res.status})`);
-  const text = await res.text();
-  const lines = text.replace(/\r/g, "").split("\n").map(l => l.trim()).filter(Boolean);
-  const exact = lines.find(l => l.toUpperCase().startsWith(id + " "));
-  return exact || lines[0] || `${id} (no METAR)`;
+function checkRuleVocabulary(data) {
+  const findings = [];
+  const upperSet = (rows, col) => new Set(rows.map(r => norm(r[col]).toUpperCase()).filter(Boolean));
+
+  const gateFixes = upperSet(data.gatesRows, "Gate");
+  const gateDirs = upperSet(data.gatesRows, "Direction");
+  const depRwys = upperSet(data.lgaConfigRows, "DEP_RWY");
+  const ldgClasses = upperSet(data.lgaConfigRows, "LGA_LDG_CLASS");
+  const acftTypes = new Set(DIAG_ACFT_TYPES.map(t => t.toUpperCase()));
+  const sids = new Set((data.sidsRows || []).map(r => sidKey(r.PROCEDURE, r.TRANSITION)));
+  const airspaceText = data.jfkConfigRows
+    .flatMap(r => [norm(r.JFK_AIRSPACE), norm(r.LGA_AIRSPACE)])
+    .map(v => v.toUpperCase());
+
+  const unknown = (row, col, val, where) => findings.push({
+    level: "ERROR",
+    check: "VOCAB",
+    rows: [row],
+    msg: `Row ${row}: ${col} "${val}" is not in ${where}`
+  });
+
+  data.depRulesRows.forEach((r, idx) => {
+    const row = idx + 2;
+
+    if (!isWildcard(r.DEP_RWY) && !depRwys.has(norm(r.DEP_RWY).toUpperCase())) {
+      unknown(row, "DEP_RWY", r.DEP_RWY, "LGA_ATIS_Config.tsv DEP_RWY");
+    }
+    if (!isWildcard(r.EXIT_GATE_DIR) && !gateDirs.has(norm(r.EXIT_GATE_DIR).toUpperCase())) {
+      unknown(row, "EXIT_GATE_DIR", r.EXIT_GATE_DIR, "Gates.tsv Direction");
+    }
+    if (!isWildcard(r.EXIT_FIX_REQ) && !gateFixes.has(norm(r.EXIT_FIX_REQ).toUpperCase())) {
+      unknown(row, "EXIT_FIX_REQ", r.EXIT_FIX_REQ, "Gates.tsv Gate");
+    }
+    if (!isWildcard(r.ACFT_TYPE) && !acftTypes.has(norm(r.ACFT_TYPE).toUpperCase())) {
+      unknown(row, "ACFT_TYPE", r.ACFT_TYPE, DIAG_ACFT_TYPES.join("/"));
+    }
+    if (!isWildcard(r.LGA_LDG_CLASS_REQ) && !ldgClasses.has(norm(r.LGA_LDG_CLASS_REQ).toUpperCase())) {
+      unknown(row, "LGA_LDG_CLASS_REQ", r.LGA_LDG_CLASS_REQ, "LGA_ATIS_Config.tsv LGA_LDG_CLASS");
+    }
+
+    for (const col of ["LGA_AIRSPACE_REQ", "JFK_AIRSPACE_REQ"]) {
+      if (isWildcard(r[col])) continue;
+      for (const part of airspaceParts(r[col])) {
+        if (!airspaceText.some(v => v.includes(part))) {
+          unknown(row, col, part, "JFK_ATIS_Config.tsv airspace columns");
+        }
+      }
+    }
+
+    if (data.sidsRows) {
+      const outputs = [norm(r.OUTPUT), ...compileArrivalException(r.ARRIVAL_EXCEPTION).clauses.map(c => c.output)];
+      for (const out of outputs.filter(Boolean)) {
+        const { procedure, transition } = parseProcedure(out);
+        if (!sids.has(sidKey(procedure, transition))) unknown(row, "OUTPUT", out, "SIDs.tsv");
+      }
+    }
+
+    if (!Number.isFinite(Number(norm(r.PRIORITY))) || !norm(r.PRIORITY)) {
+      findings.push({
+        level: "ERROR",
+        check: "VOCAB",
+        rows: [row],
+        msg: `Row ${row}: PRIORITY "${r.PRIORITY}" is not a number`
+      });
+    }
+  });
+
+  return findings;
 }
 
-function parseVisSM(metar) {
-  const m = metar.match(/(\d+\s+\d+\/\d+|\d+\/\d+|\d+)\s*SM\b/);
-  if (!m) return NaN;
+/* every LGA config x JFK config x gate fix x aircraft type the inputs can produce */
+function enumerateRuleInputs(data) {
+  const combos = [];
+  for (const lga of data.lgaConfigRows) {
+    for (const jfk of data.jfkConfigRows) {
+      for (const gate of data.gatesRows) {
+        for (const acft of DIAG_ACFT_TYPES) {
+          combos.push({
+            LGA_CONFIG: norm(lga.LGA_ATIS_Config),
+            JFK_CONFIG: norm(jfk.JFK_ATIS_Config),
+            inputs: {
+              LGA_CONFIG: norm(lga.LGA_ATIS_Config),
+              LGA_APPROACH: parseLgaConfigName(lga.LGA_ATIS_Config).approach,
+              LGA_LDG_RWY: parseLgaConfigName(lga.LGA_ATIS_Config).ldgRwy,
+              DEP_RWY: norm(lga.DEP_RWY),
+              LGA_LDG_CLASS: norm(lga.LGA_LDG_CLASS),
+              LGA_AIRSPACE: norm(jfk.LGA_AIRSPACE),
+              JFK_AIRSPACE: norm(jfk.JFK_AIRSPACE),
+              EXIT_GATE_DIR: norm(gate.Direction),
+              EXIT_FIX: norm(gate.Gate).toUpperCase(),
+              ACFT_TYPE: acft
+            }
+          });
+        }
+      }
+    }
+  }
+  return combos;
+}
 
-  const raw = m[1].trim();
-  if (raw.includes(" ")) {
-    const [whole, frac] = raw.split(/\s+/);
-    const [a,b] = frac.split("/").map(Number);
-    const w = Number(whole);
-    if (!Number.isFinite(w) || !Number.isFinite(a) || !Number.isFinite(b) || b === 0) return NaN;
-    return w + (a/b);
+function describeCombo(c) {
+  const i = c.inputs;
+  return `${c.LGA_CONFIG} / ${c.JFK_CONFIG} / ${i.EXIT_GATE_DIR} ${i.EXIT_FIX} / ${i.ACFT_TYPE}`;
+}
+
+function sameRuleResult(a, b) {
+  return ["OUTPUT", "NOTES", "ARRIVAL_EXCEPTION"].every(col =>
+    norm(a[col]).toUpperCase() === norm(b[col]).toUpperCase()
+  );
+}
+
+function checkRuleCoverage(data) {
+  const findings = [];
+  const combos = enumerateRuleInputs(data);
+
+  const winCount = new Map();
+  const matchCount = new Map();
+  const ambiguous = new Map();
+  const uncovered = new Map();
+
+  for (const c of combos) {
+    const trace = traceDepartureRules(c.inputs, data.depRulesRows);
+
+    for (const t of trace.matched) matchCount.set(t.ROW, (matchCount.get(t.ROW) || 0) + 1);
+    if (trace.winner) winCount.set(trace.winner.ROW, (winCount.get(trace.winner.ROW) || 0) + 1);
+
+    if (!trace.winner) {
+      const i = c.inputs;
+      const key = `${c.LGA_CONFIG} / ${c.JFK_CONFIG} / ${i.EXIT_GATE_DIR} / ${i.ACFT_TYPE}`;
+      if (!uncovered.has(key)) uncovered.set(key, []);
+      uncovered.get(key).push(i.EXIT_FIX);
+      continue;
+    }
+
+    for (let a = 0; a < trace.ties.length; a++) {
+      for (let b = a + 1; b < trace.ties.length; b++) {
+        const ta = trace.ties[a];
+        const tb = trace.ties[b];
+        if (sameRuleResult(ta.rule, tb.rule)) continue;
+
+        const key = `${ta.ROW}:${tb.ROW}`;
+        if (!ambiguous.has(key)) ambiguous.set(key, { a: ta, b: tb, count: 0, example: c });
+        ambiguous.get(key).count++;
+      }
+    }
   }
-  if (raw.includes("/")) {
-    const [a,b] = raw.split("/").map(Number);
-    if (!Number.isFinite(a) || !Number.isFinite(b) || b === 0) return NaN;
-    return a/b;
+
+  for (const { a, b, count, example } of ambiguous.values()) {
+    findings.push({
+      level: "ERROR",
+      check: "AMBIGUOUS",
+      rows: [a.ROW, b.ROW],
+      msg: `Rows ${a.ROW} and ${b.ROW} tie at PRIORITY ${a.rule.PRIORITY} with different results ` +
+        `(${norm(a.rule.OUTPUT)} vs ${norm(b.rule.OUTPUT)}) in ${count} case(s); ` +
+        `row ${a.ROW} wins by file order. e.g. ${describeCombo(example)}`
+    });
   }
-  const n = Number(raw);
-  return Number.isFinite(n) ? n : NaN;
+
+  data.depRulesRows.forEach((r, idx) => {
+    const row = idx + 2;
+    if (winCount.get(row)) return;
+    const msg = matchCount.get(row)
+      ? `Row ${row} (${norm(r.OUTPUT)}) matches ${matchCount.get(row)} case(s) but is always outranked (shadowed)`
+      : `Row ${row} (${norm(r.OUTPUT)}) never matches any config/gate/aircraft combination`;
+    findings.push({ level: "WARN", check: "UNREACHABLE", rows: [row], msg });
+  });
+
+  const gateCountByDir = new Map();
+  for (const g of data.gatesRows) {
+    const d = norm(g.Direction);
+    gateCountByDir.set(d, (gateCountByDir.get(d) || 0) + 1);
+  }
+
+  for (const [key, fixes] of uncovered.entries()) {
+    const dir = key.split(" / ")[2];
+    const fixStr = fixes.length === gateCountByDir.get(dir) ? "all gates" : fixes.join(", ");
+    findings.push({
+      level: "WARN",
+      check: "UNCOVERED",
+      rows: [],
+      msg: `No rule for ${key} (${fixStr})`
+    });
+  }
+
+  return { findings, comboCount: combos.length };
 }
 
-function parseCeilFt(metar) {
-  const layers = [...metar.matchAll(/\b(BKN|OVC|VV)(\d{3})\b/g)];
-  if (!layers.length) return Infinity;
+function runDataDiagnostics(data = {}) {
+  const d = {
+    lgaConfigRows: data.lgaConfigRows ?? lgaConfigRows,
+    jfkConfigRows: data.jfkConfigRows ?? jfkConfigRows,
+    gatesRows: data.gatesRows ?? gatesRows,
+    depRulesRows: data.depRulesRows ?? depRulesRows,
+    sidsRows: data.sidsRows ?? (sidsRows.length ? sidsRows : undefined)
+  };
 
-  let minFt = Infinity;
-  for (const x of layers) {
-    const h = Number(x[2]);
-    if (Number.isFinite(h)) minFt = Math.min(minFt, h * 100);
+  const syntax = checkArrivalExceptions(d.depRulesRows).map(e => ({
+    level: "ERROR",
+    check: "SYNTAX",
+    rows: [e.row],
+    msg: e.msg
+  }));
+  const vocab = checkRuleVocabulary(d);
+  const coverage = checkRuleCoverage(d);
+  const findings = [...syntax, ...vocab, ...coverage.findings];
+
+  const counts = {};
+  for (const f of findings) counts[f.check] = (counts[f.check] || 0) + 1;
+
+  return { findings, counts, ruleCount: d.depRulesRows.length, comboCount: coverage.comboCount };
+}
+
+const DIAG_CHECK_ORDER = ["SYNTAX", "VOCAB", "AMBIGUOUS", "UNREACHABLE", "UNCOVERED"];
+const DIAG_CHECK_TITLES = {
+  SYNTAX: "MALFORMED ARRIVAL EXCEPTIONS",
+  VOCAB: "UNKNOWN VOCABULARY",
+  AMBIGUOUS: "AMBIGUOUS RULE PAIRS",
+  UNREACHABLE: "UNREACHABLE RULES",
+  UNCOVERED: "UNCOVERED COMBINATIONS"
+};
+
+function renderDiagnosticsHtml(report) {
+  const summary =
+    `${report.ruleCount} rules checked against ${report.comboCount} input combinations — ` +
+    DIAG_CHECK_ORDER.map(c => `${c}: ${report.counts[c] || 0}`).join("  ");
+
+  const sections = DIAG_CHECK_ORDER.map(check => {
+    const list = report.findings.filter(f => f.check === check);
+    if (!list.length) return "";
+    return `
+      <details class="diagSection" ${check === "UNCOVERED" ? "" : "open"}>
+        <summary>${escHtml(DIAG_CHECK_TITLES[check])} (${list.length})</summary>
+        ${list.map(f => `<div class="diagRow diag${escHtml(f.level)}">${escHtml(f.level)}  ${escHtml(f.msg)}</div>`).join("")}
+      </details>
+    `;
+  }).join("");
+
+  return `<div class="diagSummary">${escHtml(summary)}</div>` +
+    (sections || `<div class="console" style="min-height:auto;">No findings.</div>`);
+}
+
+function refreshDiagnostics() {
+  const out = document.getElementById("diagOut");
+  if (!out) return;
+  out.innerHTML = renderDiagnosticsHtml(runDataDiagnostics());
+}
+
+function wireDiagnosticsPanel() {
+  const refreshBtn = document.getElementById("diagRefreshBtn");
+  if (refreshBtn) refreshBtn.addEventListener("click", refreshDiagnostics);
+  refreshDiagnostics();
+}
+
+/* DEPARTURE MATRIX */
+function evaluateDeparture(lgaConfig, jfkConfig, exitFix, acftType) {
+  const inputs = buildRuleInputs(lgaConfig, jfkConfig, exitFix, acftType);
+  const rule = pickDepartureRule(inputs);
+  const proc = rule ? norm(rule.OUTPUT) : "";
+  return {
+    inputs,
+    rule,
+    proc,
+    climb: rule ? climbTextFromProcedure(proc) : "",
+    notes: rule ? norm(rule.NOTES) : ""
+  };
+}
+
+function buildDepartureMatrix(lgaFilter, jfkFilter) {
+  const lgaList = lgaConfigRows.map(r => norm(r.LGA_ATIS_Config))
+    .filter(c => !lgaFilter || c === lgaFilter);
+  const jfkList = jfkConfigRows.map(r => norm(r.JFK_ATIS_Config))
+    .filter(c => !jfkFilter || c === jfkFilter);
+
+  const blocks = [];
+  for (const lga of lgaList) {
+    for (const jfk of jfkList) {
+      const rows = gatesRows.map(g => {
+        const fix = norm(g.Gate).toUpperCase();
+        return {
+          dir: norm(g.Direction),
+          fix,
+          results: DIAG_ACFT_TYPES.map(t => evaluateDeparture(lga, jfk, fix, t))
+        };
+      });
+      blocks.push({ lga, jfk, rows });
+    }
   }
-  return minFt;
+  return blocks;
 }
 
-function flightCategory(metar) {
-  const m = norm(metar);
-  if (!m) return { cat: "—", cls: "" };
+function renderMatrixCell(res) {
+  if (!res.rule) return `<td class="matrixNone">NO RULE</td>`;
+  const notes = res.notes ? `<div class="matrixNotes">${escHtml(res.notes)}</div>` : "";
+  return `
+    <td>
+      <div class="depValue">${escHtml(res.proc)}</div>
+      <div class="matrixClimb">${escHtml(res.climb)}</div>
+      ${notes}
+    </td>
+  `;
+}
 
-  const vis = parseVisSM(m);
-  const ceil = parseCeilFt(m);
+function renderDepartureMatrixHtml(blocks) {
+  if (!blocks.length) return `<div class="console" style="min-height:auto;">No configs selected.</div>`;
 
-  if ((Number.isFinite(ceil) && ceil < 500) || (Number.isFinite(vis) && vis < 1)) return { cat: "LIFR", cls: "wxCatLIFR" };
-  if ((Number.isFinite(ceil) && ceil < 1000) || (Number.isFinite(vis) && vis < 3)) return { cat: "IFR", cls: "wxCatIFR" };
-  if ((Number.isFinite(ceil) && ceil < 3000) || (Number.isFinite(vis) && vis < 5)) return { cat: "MVFR", cls: "wxCatMVFR" };
-  return { cat: "VFR", cls: "wxCatVFR" };
+  return blocks.map(b => {
+    const body = b.rows.map(r => `
+      <tr>
+        <td>${escHtml(r.dir)}</td>
+        <td><b>${escHtml(r.fix)}</b></td>
+        ${r.results.map(renderMatrixCell).join("")}
+      </tr>
+    `).join("");
+
+    return `
+      <div class="matrixBlock">
+        <div class="matrixBlockTitle">LGA ${escHtml(b.lga)}  •  JFK ${escHtml(b.jfk)}</div>
+        <table class="routesTable matrixTable">
+          <thead>
+            <tr>
+              <th>Dir</th>
+              <th>Gate</th>
+              ${DIAG_ACFT_TYPES.map(t => `<th>${escHtml(t)}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+  }).join("");
 }
 
-function renderMetarLineHtml(icao, metar) {
-  const id = norm(icao).toUpperCase();
-  const text = norm(metar);
-  const { cat, cls } = flightCategory(text);
+function populateMatrixFilters() {
+  const lgaSel = document.getElementById("matrixLga");
+  const jfkSel = document.getElementById("matrixJfk");
+  if (!lgaSel || !jfkSel) return;
 
-  if (text.toUpperCase().startsWith(id + " ")) {
-    const rest = text.slice(id.length);
-    return `<span class="wxIdent">${escHtml(id)}</span> <span class="${escHtml(cls)}">${escHtml(cat)}</span>${escHtml(rest)}`;
+  lgaSel.innerHTML = `<option value="">ALL LGA CONFIGS</option>` + lgaConfigRows.map(r =>
+    `<option value="${escHtml(r.LGA_ATIS_Config)}">${escHtml(r.LGA_ATIS_Config)}</option>`
+  ).join("");
+
+  jfkSel.innerHTML = `<option value="">ALL JFK CONFIGS</option>` + jfkConfigRows.map(r =>
+    `<option value="${escHtml(r.JFK_ATIS_Config)}">${escHtml(r.JFK_ATIS_Config)}</option>`
+  ).join("");
+}
+
+function matrixUseCurrentConfigs() {
+  const lgaSel = document.getElementById("matrixLga");
+  const jfkSel = document.getElementById("matrixJfk");
+  if (lgaSel) lgaSel.value = document.getElementById("lgaConfig")?.value ?? "";
+  if (jfkSel) jfkSel.value = document.getElementById("jfkConfig")?.value ?? "";
+}
+
+function refreshDepartureMatrix() {
+  const out = document.getElementById("matrixOut");
+  if (!out) return;
+  const lga = document.getElementById("matrixLga")?.value ?? "";
+  const jfk = document.getElementById("matrixJfk")?.value ?? "";
+  out.innerHTML = renderDepartureMatrixHtml(buildDepartureMatrix(lga, jfk));
+}
+
+function printDepartureMatrix() {
+  refreshDepartureMatrix();
+  document.body.classList.add("printMatrix");
+  window.addEventListener("afterprint", () => document.body.classList.remove("printMatrix"), { once: true });
+  window.print();
+}
+
+function wireDepartureMatrixPanel() {
+  populateMatrixFilters();
+  matrixUseCurrentConfigs();
+
+  const lgaSel = document.getElementById("matrixLga");
+  const jfkSel = document.getElementById("matrixJfk");
+  const currentBtn = document.getElementById("matrixCurrentBtn");
+  const printBtn = document.getElementById("matrixPrintBtn");
+
+  if (lgaSel) lgaSel.addEventListener("change", refreshDepartureMatrix);
+  if (jfkSel) jfkSel.addEventListener("change", refreshDepartureMatrix);
+  if (currentBtn) currentBtn.addEventListener("click", () => {
+    matrixUseCurrentConfigs();
+    refreshDepartureMatrix();
+  });
+  if (printBtn) printBtn.addEventListener("click", printDepartureMatrix);
+
+  refreshDepartureMatrix();
+}
+
+/* CONFIG TRANSITION BRIEFING */
+function headingFromProcedure(proc) {
+  const m = norm(proc).match(/\bheading\s+(\d{3})\b/i);
+  return m ? m[1] : "";
+}
+
+function describeDepartureChange(cur, next) {
+  const changes = [];
+  if (cur.proc !== next.proc) {
+    const curHdg = headingFromProcedure(cur.proc);
+    const nextHdg = headingFromProcedure(next.proc);
+    const sameSid = cur.proc.replace(/heading\s+\d{3}/i, "") === next.proc.replace(/heading\s+\d{3}/i, "");
+    changes.push(sameSid && curHdg && nextHdg ? "HEADING" : "SID");
   }
-  return `<span class="wxIdent">${escHtml(id)}</span> <span class="${escHtml(cls)}">${escHtml(cat)}</span> ${escHtml(text)}`;
+  if (cur.climb !== next.climb) changes.push("CLIMB");
+  if (cur.notes !== next.notes) changes.push("NOTES");
+
+  const curReroutes = new Set(rerouteNotes(cur.notes).map(n => n.toUpperCase()));
+  const newReroutes = rerouteNotes(next.notes).filter(n => !curReroutes.has(n.toUpperCase()));
+
+  return { changes, newReroutes };
 }
 
-async function refreshWx() {
-  const out = document.getElementById("wxOut");
+function buildConfigBriefing(curLga, curJfk, nextLga, nextJfk) {
+  const list = [];
+
+  for (const g of gatesRows) {
+    const fix = norm(g.Gate).toUpperCase();
+    const perType = DIAG_ACFT_TYPES.map(t => {
+      const cur = evaluateDeparture(curLga, curJfk, fix, t);
+      const next = evaluateDeparture(nextLga, nextJfk, fix, t);
+      return { acft: t, cur, next, ...describeDepartureChange(cur, next) };
+    }).filter(x => x.changes.length);
+
+    // aircraft types with the same before/after collapse into one line
+    const groups = new Map();
+    for (const x of perType) {
+      const key = [x.cur.proc, x.cur.climb, x.cur.notes, x.next.proc, x.next.climb, x.next.notes].join("|");
+      if (!groups.has(key)) groups.set(key, { ...x, acft: [] });
+      groups.get(key).acft.push(x.acft);
+    }
+
+    for (const grp of groups.values()) {
+      list.push({ dir: norm(g.Direction), fix, ...grp });
+    }
+  }
+
+  return list;
+}
+
+function populateProposedDropdowns() {
+  const lgaSel = document.getElementById("lgaProposed");
+  const jfkSel = document.getElementById("jfkProposed");
+  if (!lgaSel || !jfkSel) return;
+
+  lgaSel.innerHTML = `<option value="">(NO CHANGE)</option>` + lgaConfigRows.map(r =>
+    `<option value="${escHtml(r.LGA_ATIS_Config)}">${escHtml(r.LGA_ATIS_Config)}</option>`
+  ).join("");
+
+  jfkSel.innerHTML = `<option value="">(NO CHANGE)</option>` + jfkConfigRows.map(r =>
+    `<option value="${escHtml(r.JFK_ATIS_Config)}">${escHtml(r.JFK_ATIS_Config)}</option>`
+  ).join("");
+}
+
+function renderBriefingDepCell(res) {
+  if (!res.rule) return `<span class="matrixNone">NO RULE</span>`;
+  const notes = res.notes ? `<div class="matrixNotes">${escHtml(res.notes)}</div>` : "";
+  return `<div class="depValue">${escHtml(res.proc)}</div><div class="matrixClimb">${escHtml(res.climb)}</div>${notes}`;
+}
+
+function refreshConfigBriefing() {
+  const out = document.getElementById("briefOut");
   if (!out) return;
 
-  if (!wxWatchlist.length) { out.innerHTML = ""; return; }
+  const curLga = document.getElementById("lgaConfig")?.value ?? "";
+  const curJfk = document.getElementById("jfkConfig")?.value ?? "";
+  const nextLga = document.getElementById("lgaProposed")?.value || curLga;
+  const nextJfk = document.getElementById("jfkProposed")?.value || curJfk;
 
-  out.textContent = "Fetching METARs...\n";
+  if (nextLga === curLga && nextJfk === curJfk) {
+    out.innerHTML = `<div class="console" style="min-height:auto;">Select a proposed LGA or JFK config to brief the change.</div>`;
+    return;
+  }
 
-  const concurrency = 5;
-  const results = new Array(wxWatchlist.length);
-  let i = 0;
+  const list = buildConfigBriefing(curLga, curJfk, nextLga, nextJfk);
+  const title =
+    `<div class="matrixBlockTitle">LGA ${escHtml(curLga)} → ${escHtml(nextLga)}  •  JFK ${escHtml(curJfk)} → ${escHtml(nextJfk)}</div>`;
+
+  if (!list.length) {
+    out.innerHTML = title + `<div class="console" style="min-height:auto;">No departure changes.</div>`;
+    return;
+  }
+
+  const body = list.map(x => {
+    const reroute = x.newReroutes.length
+      ? `<div class="briefReroute">NEW: ${escHtml(x.newReroutes.join("; "))}</div>`
+      : "";
+    return `
+      <tr>
+        <td>${escHtml(x.dir)}</td>
+        <td><b>${escHtml(x.fix)}</b></td>
+        <td>${escHtml(x.acft.join("/"))}</td>
+        <td>${escHtml(x.changes.join(", "))}</td>
+        <td>${renderBriefingDepCell(x.cur)}</td>
+        <td>${renderBriefingDepCell(x.next)}${reroute}</td>
+      </tr>
+    `;
+  }).join("");
+
+  out.innerHTML = title + `
+    <div class="tableWrap">
+      <table class="routesTable matrixTable">
+        <thead>
+          <tr>
+            <th>Dir</th>
+            <th>Gate</th>
+            <th>Acft</th>
+            <th>Change</th>
+            <th>Current</th>
+            <th>Proposed</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function wireConfigBriefing() {
+  populateProposedDropdowns();
+
+  for (const id of ["lgaProposed", "jfkProposed", "lgaConfig", "jfkConfig"]) {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", refreshConfigBriefing);
+  }
+
+  refreshConfigBriefing();
+}
+
+/* BEACON CODE BANK
+   Local codes come from configurable octal ranges ("0401-0477, 2201-2277").
+   Codes in use are kept with their callsign until released. */
+const CODE_BANK_KEY = "ids4_code_bank_v1";
+const CODE_BANK_DEFAULT_RANGES = "0401-0477";
+const RESERVED_CODES = new Set(["0000", "1200", "7500", "7600", "7700"]);
+
+let codeBank = { ranges: CODE_BANK_DEFAULT_RANGES, inUse: {} };
+
+function loadCodeBank() {
+  try {
+    const raw = localStorage.getItem(CODE_BANK_KEY);
+    const obj = raw ? JSON.parse(raw) : null;
+    if (obj && typeof obj === "object") {
+      codeBank = {
+        ranges: typeof obj.ranges === "string" ? obj.ranges : CODE_BANK_DEFAULT_RANGES,
+        inUse: obj.inUse && typeof obj.inUse === "object" ? obj.inUse : {}
+      };
+    }
+  } catch { codeBank = { ranges: CODE_BANK_DEFAULT_RANGES, inUse: {} }; }
+}
+
+function saveCodeBank() {
+  localStorage.setItem(CODE_BANK_KEY, JSON.stringify(codeBank));
+}
+
+function isBeaconCode(code) {
+  return /^[0-7]{4}$/.test(code);
+}
+
+function parseCodeRanges(text) {
+  const codes = [];
+  const errors = [];
+
+  for (const part of norm(text).split(/\s*,\s*/g).filter(Boolean)) {
+    const [a, b = a] = part.split(/\s*-\s*/);
+    if (!isBeaconCode(a) || !isBeaconCode(b) || parseInt(a, 8) > parseInt(b, 8)) {
+      errors.push(`bad code range "${part}"`);
+      continue;
+    }
+    for (let n = parseInt(a, 8); n <= parseInt(b, 8); n++) {
+      const code = n.toString(8).padStart(4, "0");
+      if (!RESERVED_CODES.has(code) && !codes.includes(code)) codes.push(code);
+    }
+  }
+
+  return { codes, errors };
+}
+
+function codeForCallsign(callsign) {
+  const cs = norm(callsign).toUpperCase();
+  return Object.keys(codeBank.inUse).find(c => codeBank.inUse[c].callsign === cs) || "";
+}
+
+/* reuses the callsign's code if it already has one */
+function allocateCode(callsign) {
+  const cs = norm(callsign).toUpperCase();
+  const existing = codeForCallsign(cs);
+  if (existing) return existing;
+
+  const { codes } = parseCodeRanges(codeBank.ranges);
+  const code = codes.find(c => !codeBank.inUse[c]);
+  if (!code) return "";
+
+  codeBank.inUse[code] = { callsign: cs, at: new Date().toISOString() };
+  saveCodeBank();
+  return code;
+}
+
+function releaseCode(code) {
+  if (!codeBank.inUse[code]) return;
+  delete codeBank.inUse[code];
+  saveCodeBank();
+}
+
+function renderCodeBank() {
+  const out = document.getElementById("codeBankOut");
+  const rangesEl = document.getElementById("codeRanges");
+  if (rangesEl && document.activeElement !== rangesEl) rangesEl.value = codeBank.ranges;
+  if (!out) return;
+
+  const { codes, errors } = parseCodeRanges(codeBank.ranges);
+  const inUse = Object.keys(codeBank.inUse).sort();
+  const free = codes.filter(c => !codeBank.inUse[c]).length;
+
+  const head = `<div class="codeBankSummary">${inUse.length} IN USE • ${free} FREE` +
+    (errors.length ? ` • <span class="depWarn">${escHtml(errors.join("; "))}</span>` : "") + `</div>`;
+
+  out.innerHTML = head + inUse.map(code => `
+    <div class="codeRow">
+      <span class="codeCode">${escHtml(code)}</span>
+      <span class="codeCallsign">${escHtml(codeBank.inUse[code].callsign)}</span>
+      <button type="button" class="btnSmall" data-release="${escHtml(code)}">RELEASE</button>
+    </div>
+  `).join("");
+}
+
+/* CLEARANCE (CRAFT) */
+let lastDeparture = null;
+
+const AIRLINE_TELEPHONY = {
+  AAL: "AMERICAN", ACA: "AIR CANADA", ASA: "ALASKA", BAW: "SPEEDBIRD", DAL: "DELTA",
+  EDV: "ENDEAVOR", ENY: "ENVOY", FFT: "FRONTIER FLIGHT", GJS: "LINDBERGH", JBU: "JETBLUE",
+  JIA: "BLUE STREAK", JZA: "JAZZ", NKS: "SPIRIT WINGS", RPA: "BRICKYARD", SKW: "SKYWEST",
+  SWA: "SOUTHWEST", UAL: "UNITED"
+};
+
+const SPOKEN_DIGITS = ["ZERO", "ONE", "TWO", "THREE", "FOUR", "FIVE", "SIX", "SEVEN", "EIGHT", "NINER"];
+
+function spokenDigits(str) {
+  return String(str).split("").map(ch => /\d/.test(ch) ? SPOKEN_DIGITS[Number(ch)] : ch).join(" ");
+}
+
+/* takes 5000, "23,000" or "FL230": 5000 -> FIVE THOUSAND, 3500 -> THREE THOUSAND FIVE HUNDRED, FL230 -> FLIGHT LEVEL TWO THREE ZERO */
+function spokenAltitude(ft) {
+  const fl = String(ft).toUpperCase().match(/^FL\s*(\d+)$/);
+  const n = fl ? Number(fl[1]) * 100 : Number(String(ft).replace(/,/g, ""));
+  if (!Number.isFinite(n) || n <= 0) return String(ft);
+  if (n >= 18000) return `FLIGHT LEVEL ${spokenDigits(Math.round(n / 100))}`;
+  const thousands = Math.floor(n / 1000);
+  const hundreds = Math.round((n % 1000) / 100);
+  let out = thousands ? `${spokenDigits(thousands)} THOUSAND` : "";
+  if (hundreds) out += `${out ? " " : ""}${SPOKEN_DIGITS[hundreds]} HUNDRED`;
+  return out;
+}
+
+function spokenFrequency(freq) {
+  const [whole, frac = ""] = norm(freq).split(".");
+  const f = frac.replace(/0+$/, "") || "0";
+  return `${spokenDigits(whole)} POINT ${spokenDigits(f)}`;
+}
+
+function spokenCallsign(callsign) {
+  const cs = norm(callsign).toUpperCase();
+  const m = cs.match(/^([A-Z]{3})(\d+[A-Z]*)$/);
+  if (m && AIRLINE_TELEPHONY[m[1]]) return `${AIRLINE_TELEPHONY[m[1]]} ${spokenDigits(m[2])}`;
+  return spokenDigits(cs);
+}
+
+/* V16 -> VICTOR ONE SIX, JFK -> KENNEDY (navaid name when known) */
+function spokenRouteToken(tok) {
+  const key = tok.toUpperCase();
+  const airway = key.match(/^([VJQT])(\d+)$/);
+  if (airway) {
+    const word = { V: "VICTOR", J: "JET", Q: "Q", T: "TANGO" }[airway[1]];
+    return `${word} ${spokenDigits(airway[2])}`;
+  }
+  const nav = navaidByIdent.get(key)?.[0];
+  if (nav && nav.NAME && /VOR|TACAN/.test(nav.TYPE)) return nav.NAME.toUpperCase();
+  return key.replace(/#$/, "");
+}
+
+function spokenProcedure(proc) {
+  const { procedure, transition } = parseProcedure(proc);
+  const base = procedure.replace(/#$/, "").replace(/^LGA(\d+)$/, (_, n) => `LAGUARDIA ${spokenDigits(n)}`);
+  const hdg = headingFromProcedure(proc);
+  let out = `${base} DEPARTURE`;
+  if (transition) out += ` ${transition}`;
+  if (hdg) out += `, FLY HEADING ${spokenDigits(hdg)}`;
+  return out;
+}
+
+/* checked before a beacon code is taken, so a failed build never holds one */
+function clearanceErrors(opts) {
+  const errors = [];
+  if (!norm(opts.callsign)) errors.push("CALLSIGN is blank");
+  if (!norm(opts.dest)) errors.push("DEST is blank");
+  if (!lastDeparture || !lastDeparture.rule) errors.push("no departure procedure (run EXEC first)");
+  return errors;
+}
+
+/* text and spoken variants of the CRAFT clearance for the last EXEC result */
+function buildClearance(opts) {
+  const dep = lastDeparture;
+  const callsign = norm(opts.callsign).toUpperCase();
+  const dest = norm(opts.dest).toUpperCase();
+  const filedRoute = norm(opts.filedRoute).toUpperCase();
+  const route = norm(opts.prdRoute).toUpperCase() || filedRoute;
+  const errors = clearanceErrors(opts);
+  if (errors.length) return { errors };
+
+  const sid = dep.sidInfo.sid;
+  const proc = dep.proc;
+  const viaRoute = route ? `${route}, THEN AS FILED` : "AS FILED";
+  const climb = climbTextFromSid(sid);
+  const reqAltFt = parseRequestedAltitude(opts.altitude);
+  const reqAlt = Number.isFinite(reqAltFt)
+    ? (reqAltFt >= PRD_HIGH_ALT_FT ? `FL${Math.round(reqAltFt / 100)}` : String(reqAltFt))
+    : norm(opts.altitude);
+  const expect = sid && norm(sid.EXPECT_ALT)
+    ? (norm(sid.EXPECT_ALT).toUpperCase() === "FILED" && reqAlt
+      ? `EXPECT ${formatAltFt(reqAlt)} ${norm(sid.EXPECT_MIN) || "10"} MINUTES AFTER DEPARTURE`
+      : expectTextFromSid(sid))
+    : "";
+  const freq = sid ? norm(sid.DEP_FREQ) : "";
+  const code = opts.code || "";
+
+  const text = [
+    `${callsign}, CLEARED TO ${dest} AIRPORT`,
+    `VIA ${proc}, ${viaRoute}.`,
+    `${climb}.`,
+    expect ? `${expect}.` : "",
+    freq ? `DEPARTURE FREQUENCY ${freq}.` : "",
+    code ? `SQUAWK ${code}.` : "SQUAWK (NO CODE AVAILABLE)."
+  ].filter(Boolean).join("\n");
+
+  const spokenClimb = sid && norm(sid.CLIMB).toUpperCase() !== "VIA"
+    ? `CLIMB AND MAINTAIN ${spokenAltitude(sid.INITIAL_ALT)}`
+    : climb;
+  const spokenExpect = expect
+    ? expect.replace(/EXPECT (FL\d+|[\d,]+)/, (_, a) => `EXPECT ${spokenAltitude(a)}`)
+      .replace(/(\d+) MINUTES/, (_, m) => `${spokenDigits(m)} MINUTES`)
+    : "";
+  const spokenRoute = route
+    ? route.split(/\s+/g).map(spokenRouteToken).join(", ") + ", THEN AS FILED"
+    : "AS FILED";
+
+  const spoken = [
+    `${spokenCallsign(callsign)}, CLEARED TO ${dest} AIRPORT`,
+    `VIA THE ${spokenProcedure(proc)}, ${spokenRoute}.`,
+    `${spokenClimb}.`,
+    spokenExpect ? `${spokenExpect}.` : "",
+    freq ? `DEPARTURE FREQUENCY ${spokenFrequency(freq)}.` : "",
+    code ? `SQUAWK ${spokenDigits(code)}.` : ""
+  ].filter(Boolean).join(" ");
+
+  return { errors, text, spoken, code };
+}
+
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    document.body.appendChild(ta);
+    ta.select();
+    const ok = document.execCommand("copy");
+    ta.remove();
+    return ok;
+  }
+}
+
+function refreshClearance() {
+  const out = document.getElementById("clearanceOut");
+  const spokenOut = document.getElementById("clearanceSpoken");
+  if (!out) return;
+
+  const acftEl = document.getElementById("clnAcft");
+  if (acftEl) {
+    const designator = norm(document.getElementById("acftDesignator")?.value).toUpperCase();
+    const profile = getAircraftProfile(designator, document.getElementById("acftType")?.value ?? "*");
+    acftEl.textContent = `AIRCRAFT (from MAIN): ${designator || "(none)"} · ${profile.acftType === "*" ? "ANY TYPE" : profile.acftType.toUpperCase()}`;
+  }
+
+  const opts = {
+    callsign: document.getElementById("clnCallsign")?.value ?? "",
+    dest: lastDeparture ? lastDeparture.dest : resolveDestination(document.getElementById("dest")?.value).ident,
+    filedRoute: document.getElementById("filedRoute")?.value ?? "",
+    altitude: norm(document.getElementById("clnAltitude")?.value) || norm(document.getElementById("prdAltitude")?.value),
+    prdRoute: selectedPrdRoute
+  };
 
-  async function worker() {
-    while (i < wxWatchlist.length) {
-      const idx = i++;
-      const icao = wxWatchlist[idx];
-      try {
-        const metar = await fetchVatsimMetar(icao);
-        results[idx] = { icao, metar };
-      } catch {
-        results[idx] = { icao, metar: `${icao} (error)` };
-      }
-    }
+  const errors = clearanceErrors(opts);
+  if (errors.length) {
+    out.textContent = "CANNOT BUILD CLEARANCE:\n" + errors.join("\n");
+    if (spokenOut) spokenOut.textContent = "";
+    return;
   }
 
-  await Promise.all(Array.from({ length: Math.min(concurrency, wxWatchlist.length) }, worker));
+  const result = buildClearance({ ...opts, code: allocateCode(opts.callsign) });
+  renderCodeBank();
 
-  out.innerHTML = results
-    .filter(Boolean)
-    .map((r, idx) => {
-      const sep = idx === 0 ? "" : `<div class="wxBlockLine"></div>`;
-      return `${sep}<div>${renderMetarLineHtml(r.icao, r.metar)}</div>`;
-    })
-    .join("");
+  out.textContent = result.text;
+  if (spokenOut) spokenOut.textContent = result.spoken;
 }
 
-function wireWxPanel() {
-  const addInput = document.getElementById("wxAddInput");
-  const addBtn = document.getElementById("wxAddBtn");
-  const refreshBtn = document.getElementById("wxRefreshBtn");
-  const chips = document.getElementById("wxChips");
-
-  loadWxWatchlist();
-  renderWxChips();
+function wireClearancePanel() {
+  loadCodeBank();
+  renderCodeBank();
 
-  if (addBtn && addInput) {
-    addBtn.addEventListener("click", () => {
-      const v = norm(addInput.value).toUpperCase();
-      if (!isLikelyIcao(v)) return;
+  const buildBtn = document.getElementById("clnBuildBtn");
+  const copyBtn = document.getElementById("clnCopyBtn");
+  const copySpokenBtn = document.getElementById("clnCopySpokenBtn");
+  const rangesBtn = document.getElementById("codeRangesBtn");
+  const bankOut = document.getElementById("codeBankOut");
+  const routesOut = document.getElementById("routesOut");
 
-      if (!wxWatchlist.includes(v)) {
-        wxWatchlist.unshift(v);
-        wxWatchlist = wxWatchlist.slice(0, 20);
-        saveWxWatchlist();
-        renderWxChips();
-        refreshWx();
-      }
-      addInput.value = "";
-      addInput.focus();
-    });
+  // re-run EXEC every time so the clearance never uses a departure from older inputs
+  if (buildBtn) buildBtn.addEventListener("click", () => {
+    runTool();
+    refreshClearance();
+  });
 
-    addInput.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") addBtn.click();
-    });
-  }
+  if (copyBtn) copyBtn.addEventListener("click", () => {
+    copyToClipboard(document.getElementById("clearanceOut")?.textContent ?? "");
+  });
+  if (copySpokenBtn) copySpokenBtn.addEventListener("click", () => {
+    copyToClipboard(document.getElementById("clearanceSpoken")?.textContent ?? "");
+  });
 
-  if (chips) {
-    chips.addEventListener("click", (e) => {
-      const btn = e.target.closest("button[data-icao]");
-      if (!btn) return;
-      const icao = btn.getAttribute("data-icao");
-      wxWatchlist = wxWatchlist.filter(x => x !== icao);
-      saveWxWatchlist();
-      renderWxChips();
-      refreshWx();
-    });
-  }
+  if (rangesBtn) rangesBtn.addEventListener("click", () => {
+    codeBank.ranges = norm(document.getElementById("codeRanges")?.value);
+    saveCodeBank();
+    renderCodeBank();
+  });
 
-  if (refreshBtn) refreshBtn.addEventListener("click", refreshWx);
+  if (bankOut) bankOut.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-release]");
+    if (!btn) return;
+    releaseCode(btn.getAttribute("data-release"));
+    renderCodeBank();
+  });
 
-  refreshWx();
-  setInterval(refreshWx, 60000);
+  if (routesOut) routesOut.addEventListener("click", (e) => {
+    const row = e.target.closest(".routeRow");
+    if (!row) return;
+    const route = row.getAttribute("data-route") ?? "";
+    selectedPrdRoute = selectedPrdRoute === route ? "" : route;
+    routesOut.querySelectorAll(".routeRow").forEach(r =>
+      r.classList.toggle("isSelected", r.getAttribute("data-route") === selectedPrdRoute)
+    );
+  });
 }
 
-/* RUNWAY + RVR same as prior (kept short here) */
-function parseWindFromMetar(metar) {
-  const m = norm(metar).toUpperCase();
-  const w = m.match(/\b(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?KT\b/);
-  if (!w) return { dir: "", spd: NaN, raw: "" };
-  return { dir: w[1], spd: Number(w[2]), raw: w[0] };
-}
-
-function lgaSuggestedConfigFromInputs(rawDir, rawSpd, rawCat) {
-  if (!rawDir || !Number.isFinite(rawSpd)) return "";
-  const dirStr = String(rawDir).toUpperCase();
-  const spd = Number(rawSpd);
-  const imc = /^(IFR|LIFR|IMC)$/.test(String(rawCat || "").toUpperCase());
-
-  if (dirStr === "VRB") return "Depart 31, Land ILS 22";
-  let dir = Number(dirStr);
-  if (!Number.isFinite(dir)) return "";
-  dir = ((dir % 360) + 360) % 360;
-
-  if (spd <= 4) return "Depart 31, Land ILS 22";
-  if (spd <= 14) {
-    if (dir >= 315 || dir <= 44) return imc ? "Depart 4, Land LOC 31" : "Depart 4, Land RNAV GPS X 31";
-    if (dir >= 45 && dir <= 134) return "Depart 13, Land ILS 4";
-    if (dir >= 135 && dir <= 259) return "Depart 13, Land ILS 22";
-    if (dir >= 260 && dir <= 314) return "Depart 31, Land ILS 22";
-  }
-  if (spd <= 27) {
-    if (dir >= 315 || dir <= 44) return imc ? "Depart 4, Land LOC 31" : "Depart 4, Land RNAV GPS X 31";
-    if (dir >= 45 && dir <= 134) return "Depart 13, Land ILS 4";
-    if (dir >= 135 && dir <= 224) return "Depart 13, Land ILS 22";
-    if (dir >= 225 && dir <= 314) return "Depart 31, Land ILS 22";
-  }
-  if (dir <= 89) return "Depart 4, Land ILS 4";
-  if (dir <= 179) return imc ? "Depart 13, Land ILS 13" : "Depart 13, Land ILS 22 CIR 13";
-  if (dir <= 269) return "Depart 22, Land ILS 22";
-  return "Depart 31, Land LOC 31";
-}
-
-function jfkSuggestedConfigFromInputs(rawDir, rawSpd) {
-  if (!rawDir || !Number.isFinite(rawSpd)) return "";
-  const dirStr = String(rawDir).toUpperCase();
-  const spd = Number(rawSpd);
-  if (dirStr === "VRB" || spd <= 4) return "Depart 31L/R, Land 31L/R";
-  let dir = Number(dirStr);
-  if (!Number.isFinite(dir)) return "";
-  dir = ((dir % 360) + 360) % 360;
-  if (dir <= 99) return "Depart 04L, Land 04L/R";
-  if (dir <= 159) return "Depart 13L/R, Land 13L + 22L";
-  if (dir <= 259) return "Depart 22R, Land 22L/R";
-  return "Depart 31L/R, Land 31L/R";
-}
-
-function renderRunwayHelperBlock(icao, metar) {
-  const id = norm(icao).toUpperCase();
-  const m = norm(metar);
+/* BATCH EVALUATION
+   Pasted rows: callsign, type, destination, filed route, exit fix (TSV or CSV,
+   optional header row). A blank exit fix is taken from the first filed-route
+   token that is a Gates.tsv fix. */
+const BATCH_COLUMNS = [
+  { key: "callsign", label: "Callsign" },
+  { key: "type",     label: "Type" },
+  { key: "dest",     label: "Dest" },
+  { key: "exitFix",  label: "Exit" },
+  { key: "dir",      label: "Dir" },
+  { key: "sid",      label: "SID" },
+  { key: "climb",    label: "Climb" },
+  { key: "prd",      label: "PRD" },
+  { key: "route",    label: "Filed Route" },
+  { key: "notes",    label: "Notes" }
+];
+
+let batchResults = [];
+let batchSort = { key: "", dir: 1 };
+
+function parseBatchText(text) {
+  const lines = norm(text).replace(/\r/g, "").split("\n").map(l => l.trim()).filter(Boolean);
+  if (!lines.length) return [];
 
-  const { cat } = flightCategory(m);
-  const wind = parseWindFromMetar(m);
+  const rows = lines.map(l => l.split(l.includes("\t") ? "\t" : ",").map(c => norm(c)));
+  if (/^CALL/i.test(rows[0][0] || "")) rows.shift();
 
-  let config = "—";
-  if (id === "KLGA") config = lgaSuggestedConfigFromInputs(wind.dir, wind.spd, cat) || "—";
-  if (id === "KJFK") config = jfkSuggestedConfigFromInputs(wind.dir, wind.spd) || "—";
+  return rows.map(c => ({
+    callsign: (c[0] || "").toUpperCase(),
+    type: (c[1] || "").toUpperCase(),
+    dest: (c[2] || "").toUpperCase(),
+    route: (c[3] || "").toUpperCase().replace(/\s+/g, " "),
+    exitFix: (c[4] || "").toUpperCase()
+  }));
+}
 
-  const metarLine = renderMetarLineHtml(id, m);
-  const windLine = wind.raw
-    ? `<div class="runwayHint">WIND: ${escHtml(wind.raw)}</div>`
-    : `<div class="runwayHint">WIND: (not found in METAR)</div>`;
+function exitFixFromRoute(route) {
+  return norm(route).toUpperCase().split(/\s+/g).find(tok => getGateDirection(tok)) || "";
+}
 
-  return `
-    <div>${metarLine}</div>
-    ${windLine}
-    <div class="runwayHint">SUGGESTED AIRPORT CONFIGURATION - <span class="runwayConfig">${escHtml(config)}</span></div>
-  `;
+function prdComplianceLabel(route, routes, dest) {
+  const { status, best } = checkRouteCompliance(route, routes, dest);
+  if (status === "EXACT") return best.row.INELIGIBLE ? "INELIGIBLE" : "PRD";
+  if (status === "PARTIAL") return "PARTIAL";
+  if (status === "NONE") return "NON-PRD";
+  return status;
 }
 
-async function refreshRunwayHelper() {
-  const out = document.getElementById("runwayOut");
-  if (!out) return;
+function evaluateBatchRow(row, lgaConfig, jfkConfig) {
+  const notes = [];
+  const exitFix = row.exitFix || exitFixFromRoute(row.route);
+  if (!row.exitFix && exitFix) notes.push(`exit fix ${exitFix} taken from route`);
 
-  out.textContent = "Fetching KLGA / KJFK METAR...\n";
+  const profile = getAircraftProfile(row.type, row.type);
+  if (profile.acftType === "*") notes.push(`aircraft class unknown for "${row.type || "(blank)"}"`);
 
-  const airports = ["KLGA", "KJFK"];
-  const results = [];
+  const inputs = buildRuleInputs(lgaConfig, jfkConfig, exitFix, profile.acftType);
+  if (!inputs.EXIT_GATE_DIR) notes.push(`exit fix "${exitFix || "(blank)"}" not in Gates.tsv`);
 
-  for (const a of airports) {
-    try { results.push({ a, metar: await fetchVatsimMetar(a), ok: true }); }
-    catch { results.push({ a, metar: `${a} (error)`, ok: false }); }
-  }
+  const trace = traceDepartureRules(inputs);
+  const rule = trace.effective;
+  const proc = rule ? norm(rule.OUTPUT) : "";
+  const sidInfo = getSidInfo(proc);
 
-  out.innerHTML = results.map((r, idx) => {
-    const sep = idx === 0 ? "" : `<div class="runwayBlockLine"></div>`;
-    if (!r.ok) return `${sep}<div><span class="runwayIdent">${escHtml(r.a)}</span> <span class="runwayHint">(error fetching METAR)</span></div>`;
-    return `${sep}<div>${renderRunwayHelperBlock(r.a, r.metar)}</div>`;
-  }).join("");
+  if (!rule) notes.push("no matching departure rule");
+  if (trace.exception) notes.push(`arrival exception: ${trace.exception.text}`);
+  if (sidInfo.warning) notes.push(sidInfo.warning);
+  if (rule && norm(rule.NOTES)) notes.push(norm(rule.NOTES));
+
+  const destRes = resolveDestination(row.dest);
+  if (destRes.warning) notes.push(destRes.warning);
+  else if (destRes.ident !== row.dest) notes.push(`dest ${row.dest} resolved to ${destRes.ident}`);
+
+  const routes = getRoutes(destRes.ident, rule, profile);
+
+  return {
+    ...row,
+    dest: destRes.ident,
+    exitFix,
+    dir: inputs.EXIT_GATE_DIR,
+    sid: proc || "—",
+    climb: rule ? climbTextFromSid(sidInfo.sid) : "—",
+    prd: prdComplianceLabel(row.route, routes, destRes.ident),
+    notes: notes.join("; ")
+  };
 }
 
-function wireRunwayHelperPanel() {
-  const refreshBtn = document.getElementById("runwayRefreshBtn");
-  if (refreshBtn) refreshBtn.addEventListener("click", refreshRunwayHelper);
-  refreshRunwayHelper();
-  setInterval(refreshRunwayHelper, 60000);
+function sortedBatchResults() {
+  if (!batchSort.key) return batchResults;
+  const k = batchSort.key;
+  return [...batchResults].sort((a, b) =>
+    String(a[k] ?? "").localeCompare(String(b[k] ?? ""), undefined, { numeric: true }) * batchSort.dir
+  );
 }
 
-/* RVR (disabled display but saved chips) */
-const RVR_STORAGE_KEY = "ids4_rvr_watchlist_v1";
-let rvrWatchlist = [];
+function renderBatchTable() {
+  const out = document.getElementById("batchOut");
+  if (!out) return;
 
-function loadRvrWatchlist() {
-  try {
-    const raw = localStorage.getItem(RVR_STORAGE_KEY);
-    const arr = raw ? JSON.parse(raw) : [];
-    if (Array.isArray(arr)) rvrWatchlist = arr.map(x => norm(x).toUpperCase()).filter(Boolean);
-    else rvrWatchlist = [];
-  } catch { rvrWatchlist = []; }
-  if (!rvrWatchlist.length) rvrWatchlist = ["LGA", "JFK", "EWR"];
-}
-function saveRvrWatchlist(){ localStorage.setItem(RVR_STORAGE_KEY, JSON.stringify(rvrWatchlist)); }
-function renderRvrChips(){
-  const wrap = document.getElementById("rvrChips");
-  if (!wrap) return;
-  wrap.innerHTML = rvrWatchlist.map(apt => `
-    <div class="rvrChip">
-      <span>${escHtml(apt)}</span>
-      <button type="button" data-apt="${escHtml(apt)}">X</button>
-    </div>
+  if (!batchResults.length) {
+    out.innerHTML = `<div class="console" style="min-height:auto;">Paste flights and hit EVALUATE.</div>`;
+    return;
+  }
+
+  const head = BATCH_COLUMNS.map(c => {
+    const arrow = batchSort.key === c.key ? (batchSort.dir > 0 ? " ▲" : " ▼") : "";
+    return `<th class="batchSort" data-sort="${escHtml(c.key)}">${escHtml(c.label)}${arrow}</th>`;
+  }).join("");
+
+  const body = sortedBatchResults().map(r => `
+    <tr>
+      ${BATCH_COLUMNS.map(c => {
+        const cls = c.key === "prd" ? `batchPrd${escHtml(r.prd.replace(/[^A-Z]/g, ""))}` : "";
+        return `<td class="${cls}">${escHtml(r[c.key] || "-")}</td>`;
+      }).join("")}
+    </tr>
   `).join("");
+
+  out.innerHTML = `
+    <table class="routesTable batchTable">
+      <thead><tr>${head}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
 }
-function faaRvrUrl(apt){
-  const a = norm(apt).toUpperCase();
-  return `https://rvr.data.faa.gov/cgi-bin/rvr-details.pl?content=table&airport=${encodeURIComponent(a)}&rrate=medium&layout=2x2&gifsize=large&fontsize=large&fs=lg`;
+
+function batchResultsToTsv() {
+  const clean = v => String(v ?? "").replace(/[\t\r\n]+/g, " ");
+  const header = BATCH_COLUMNS.map(c => c.label.toUpperCase()).join("\t");
+  const lines = sortedBatchResults().map(r => BATCH_COLUMNS.map(c => clean(r[c.key])).join("\t"));
+  return [header, ...lines].join("\n") + "\n";
 }
-function renderRvrBlockHtml(apt){
-  const a = norm(apt).toUpperCase();
-  const link = faaRvrUrl(a);
-  return `
-    <div><span class="rvrIdent">${escHtml(a)}</span>  (disabled)</div>
-    <div class="rvrHint">RVR monitor is currently disabled.</div>
-    <div style="margin-top:6px;"><a class="rvrLink" href="${escHtml(link)}" target="_blank" rel="noopener">Open FAA RVR page</a></div>
-  `;
+
+function exportBatchTsv() {
+  if (!batchResults.length) return;
+  const blob = new Blob([batchResultsToTsv()], { type: "text/tab-separated-values" });
+  const a = document.createElement("a");
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, "");
+  const href = URL.createObjectURL(blob);
+  a.href = href;
+  a.download = `batch_${stamp}.tsv`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // revoking synchronously can abort the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(href), 0);
 }
-async function refreshRvr(){
-  const out = document.getElementById("rvrOut");
-  if (!out) return;
-  if (!rvrWatchlist.length) { out.innerHTML = ""; return; }
-  out.innerHTML = rvrWatchlist.map((apt, idx) => {
-    const sep = idx === 0 ? "" : `<div class="rvrBlockLine"></div>`;
-    return `${sep}<div>${renderRvrBlockHtml(apt)}</div>`;
-  }).join("");
+
+function runBatch() {
+  const text = document.getElementById("batchInput")?.value ?? "";
+  const lgaConfig = document.getElementById("lgaConfig")?.value ?? "";
+  const jfkConfig = document.getElementById("jfkConfig")?.value ?? "";
+  batchResults = parseBatchText(text).map(r => evaluateBatchRow(r, lgaConfig, jfkConfig));
+  renderBatchTable();
 }
-function wireRvrPanel(){
-  const addInput = document.getElementById("rvrAddInput");
-  const addBtn = document.getElementById("rvrAddBtn");
-  const refreshBtn = document.getElementById("rvrRefreshBtn");
-  const chips = document.getElementById("rvrChips");
 
-  loadRvrWatchlist();
-  renderRvrChips();
+function wireBatchPanel() {
+  const runBtn = document.getElementById("batchRunBtn");
+  const exportBtn = document.getElementById("batchExportBtn");
+  const out = document.getElementById("batchOut");
 
-  if (addBtn && addInput) {
-    addBtn.addEventListener("click", () => {
-      const v = norm(addInput.value).toUpperCase();
-      if (!isLikelyIcao(v)) return;
-      if (!rvrWatchlist.includes(v)) {
-        rvrWatchlist.unshift(v);
-        rvrWatchlist = rvrWatchlist.slice(0, 15);
-        saveRvrWatchlist();
-        renderRvrChips();
-        refreshRvr();
-      }
-      addInput.value = "";
-      addInput.focus();
-    });
-    addInput.addEventListener("keydown", (e) => { if (e.key === "Enter") addBtn.click(); });
-  }
+  if (runBtn) runBtn.addEventListener("click", runBatch);
+  if (exportBtn) exportBtn.addEventListener("click", exportBatchTsv);
 
-  if (chips) {
-    chips.addEventListener("click", (e) => {
-      const btn = e.target.closest("button[data-apt]");
-      if (!btn) return;
-      const apt = btn.getAttribute("data-apt");
-      rvrWatchlist = rvrWatchlist.filter(x => x !== apt);
-      saveRvrWatchlist();
-      renderRvrChips();
-      refreshRvr();
-    });
-  }
+  if (out) out.addEventListener("click", (e) => {
+    const th = e.target.closest("th[data-sort]");
+    if (!th) return;
+    const key = th.getAttribute("data-sort");
+    batchSort = { key, dir: batchSort.key === key ? -batchSort.dir : 1 };
+    renderBatchTable();
+  });
 
-  if (refreshBtn) refreshBtn.addEventListener("click", refreshRvr);
-  refreshRvr();
-  setInterval(refreshRvr, 60000);
+  renderBatchTable();
 }
 
-/* CLIMB VIA */
-function isClimbViaSidFromProcedure(procStr) {
-  const p = norm(procStr).toUpperCase();
-  if (!p) return false;
-  const pNorm = p.replace(/\s+/g, ".");
-  if (pNorm.includes("LGA7.MASPETH")) return true;
-  if (pNorm.includes("LGA7.CONEY")) return true;
-  const rnav = ["HOPEA","JUTES","TNNIS","NTHNS","GLDMN"];
-  return rnav.some(k => pNorm.includes(k + "#") || pNorm.includes(k));
+/* DEST TYPEAHEAD */
+let destSuggestIdx = -1;
+
+function renderDestHint(res) {
+  const hint = document.getElementById("destHint");
+  if (!hint) return;
+  hint.classList.toggle("fieldHintWarn", !!res.warning);
+  if (res.warning) hint.textContent = res.warning;
+  else if (res.airport) hint.textContent = `${res.airport.IDENT} ${res.airport.NAME}${res.how === "ICAO" ? "" : ` (${res.how})`}`;
+  else hint.textContent = "";
 }
 
-/* DROPDOWNS + DERIVED */
-function populateDropdowns() {
-  const lgaSel = document.getElementById("lgaConfig");
-  const jfkSel = document.getElementById("jfkConfig");
-  if (!lgaSel || !jfkSel) return;
+function hideDestSuggest() {
+  const box = document.getElementById("destSuggest");
+  if (box) box.classList.add("isHidden");
+  destSuggestIdx = -1;
+}
 
-  lgaSel.innerHTML = lgaConfigRows.map(r =>
-    `<option value="${escHtml(r.LGA_ATIS_Config)}">${escHtml(r.LGA_ATIS_Config)}</option>`
-  ).join("");
+function renderDestSuggest() {
+  const input = document.getElementById("dest");
+  const box = document.getElementById("destSuggest");
+  if (!input || !box) return;
 
-  jfkSel.innerHTML = jfkConfigRows.map(r =>
-    `<option value="${escHtml(r.JFK_ATIS_Config)}">${escHtml(r.JFK_ATIS_Config)}</option>`
-  ).join("");
+  const list = suggestAirports(input.value, 10);
+  if (!list.length) return hideDestSuggest();
+
+  box.innerHTML = list.map((a, idx) => `
+    <div class="destSuggestRow ${idx === destSuggestIdx ? "isActive" : ""}" data-ident="${escHtml(a.IDENT)}">
+      <span class="cellIdent">${escHtml(a.IDENT)}</span>
+      <span class="cellName">${escHtml(a.NAME)}</span>
+      ${prdDestinations.has(a.IDENT) ? `<span class="destPrdBadge">PRD</span>` : ""}
+    </div>
+  `).join("");
+  box.classList.remove("isHidden");
 }
 
-function getGateDirection(exitFix) {
-  const ef = norm(exitFix).toUpperCase();
-  const row = gatesRows.find(r => norm(r.Gate).toUpperCase() === ef);
-  return row ? norm(row.Direction) : "";
+function chooseDestination(ident) {
+  const input = document.getElementById("dest");
+  if (input) input.value = ident;
+  hideDestSuggest();
+  renderDestHint(resolveDestination(ident));
+  selectAirport(ident);
+  runTool();
 }
 
-function getLgaDerived(lgaConfig) {
-  const row = lgaConfigRows.find(r => norm(r.LGA_ATIS_Config) === norm(lgaConfig));
-  return { depRwy: row ? norm(row.DEP_RWY) : "", ldgClass: row ? norm(row.LGA_LDG_CLASS) : "" };
+function wireDestTypeahead() {
+  const input = document.getElementById("dest");
+  const box = document.getElementById("destSuggest");
+  if (!input || !box) return;
+
+  input.addEventListener("input", () => {
+    destSuggestIdx = -1;
+    renderDestSuggest();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    const rows = box.querySelectorAll(".destSuggestRow");
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!rows.length) return;
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      destSuggestIdx = (destSuggestIdx + step + rows.length) % rows.length;
+      renderDestSuggest();
+    } else if (e.key === "Enter") {
+      const row = destSuggestIdx >= 0 ? rows[destSuggestIdx] : null;
+      if (row) chooseDestination(row.getAttribute("data-ident"));
+      else { hideDestSuggest(); runTool(); }
+    } else if (e.key === "Escape") {
+      hideDestSuggest();
+    }
+  });
+
+  // mousedown fires before the input's blur hides the list
+  box.addEventListener("mousedown", (e) => {
+    const row = e.target.closest(".destSuggestRow");
+    if (!row) return;
+    e.preventDefault();
+    chooseDestination(row.getAttribute("data-ident"));
+  });
+
+  input.addEventListener("blur", hideDestSuggest);
 }
 
-function getAirspaceFromJfkConfig(jfkConfig) {
-  const row = jfkConfigRows.find(r => norm(r.JFK_ATIS_Config) === norm(jfkConfig));
-  return { jfkAirspace: row ? norm(row.JFK_AIRSPACE) : "", lgaAirspace: row ? norm(row.LGA_AIRSPACE) : "" };
+/* PRD FILTER CONTROLS */
+function wirePrdFilters() {
+  for (const id of ["prdTypeFilter", "prdNavFilter", "prdAcftFilter"]) {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", runTool);
+  }
+  const alt = document.getElementById("prdAltitude");
+  if (alt) alt.addEventListener("keydown", (e) => { if (e.key === "Enter") runTool(); });
+  if (alt) alt.addEventListener("change", runTool);
 }
 
-function pickDepartureRule(inputs) {
-  const matches = depRulesRows.filter(r =>
-    matchField(r.DEP_RWY, inputs.DEP_RWY) &&
-    matchAirspace(r.LGA_AIRSPACE_REQ, inputs.LGA_AIRSPACE) &&
-    matchAirspace(r.JFK_AIRSPACE_REQ, inputs.JFK_AIRSPACE) &&
-    matchField(r.EXIT_GATE_DIR, inputs.EXIT_GATE_DIR) &&
-    matchField(r.EXIT_FIX_REQ, inputs.EXIT_FIX) &&
-    matchField(r.ACFT_TYPE, inputs.ACFT_TYPE) &&
-    matchField(r.LGA_LDG_CLASS_REQ, inputs.LGA_LDG_CLASS)
-  );
-  if (!matches.length) return null;
-  matches.sort((a, b) => Number(a.PRIORITY) - Number(b.PRIORITY));
-  return matches[0];
+/* AIRCRAFT DESIGNATOR INPUT */
+function syncAircraftDesignator() {
+  const input = document.getElementById("acftDesignator");
+  const sel = document.getElementById("acftType");
+  const hint = document.getElementById("acftHint");
+  if (!input || !sel) return;
+
+  const profile = getAircraftProfile(input.value, sel.value);
+  if (profile.known) sel.value = profile.acftType;
+  if (hint) hint.textContent = describeAircraftProfile(profile);
 }
 
-function getRoutes(dest) {
-  const d = norm(dest).toUpperCase();
-  if (!d) return [];
-  return routesRows.filter(r =>
-    norm(r.Origin).toUpperCase() === "KLGA" &&
-    norm(r.Destination).toUpperCase() === d
-  );
+function wireAircraftDesignator() {
+  const input = document.getElementById("acftDesignator");
+  const list = document.getElementById("acftDesignatorList");
+  if (list) {
+    list.innerHTML = aircraftRows.map(r =>
+      `<option value="${escHtml(norm(r.DESIGNATOR).toUpperCase())}">${escHtml(r.NAME)}</option>`
+    ).join("");
+  }
+  if (input) input.addEventListener("input", syncAircraftDesignator);
 }
 
 /* RUN TOOL */
@@ -986,22 +5135,31 @@ function runTool() {
   const lgaConfig = document.getElementById("lgaConfig")?.value ?? "";
   const jfkConfig = document.getElementById("jfkConfig")?.value ?? "";
   const exitFix = norm(document.getElementById("exitFix")?.value).toUpperCase();
+  const acftDesignator = document.getElementById("acftDesignator")?.value ?? "";
   const acftType = document.getElementById("acftType")?.value ?? "*";
-  const dest = document.getElementById("dest")?.value ?? "";
+  const destRaw = document.getElementById("dest")?.value ?? "";
+  const destRes = resolveDestination(destRaw);
+  const dest = destRes.ident;
+  const filedRoute = document.getElementById("filedRoute")?.value ?? "";
+  const profile = getAircraftProfile(acftDesignator, acftType);
 
-  const { depRwy, ldgClass } = getLgaDerived(lgaConfig);
-  const { jfkAirspace, lgaAirspace } = getAirspaceFromJfkConfig(jfkConfig);
-  const gateDir = getGateDirection(exitFix);
+  renderDestHint(destRes);
+  if (destRes.airport) selectAirport(destRes.ident);
 
-  const inputs = {
+  const inputs = buildRuleInputs(lgaConfig, jfkConfig, exitFix, profile.acftType);
+  const {
     DEP_RWY: depRwy,
     LGA_LDG_CLASS: ldgClass,
-    LGA_AIRSPACE: lgaAirspace,
     JFK_AIRSPACE: jfkAirspace,
-    EXIT_GATE_DIR: gateDir,
-    EXIT_FIX: exitFix,
-    ACFT_TYPE: acftType
-  };
+    LGA_AIRSPACE: lgaAirspace,
+    EXIT_GATE_DIR: gateDir
+  } = inputs;
+
+  const trace = traceDepartureRules(inputs);
+  const rule = trace.effective;
+  const proc = rule ? norm(rule.OUTPUT) : "";
+  const sidInfo = getSidInfo(proc);
+  const sid = sidInfo.sid;
 
   const computedOut = document.getElementById("computedOut");
   if (computedOut) {
@@ -1012,36 +5170,73 @@ function runTool() {
       `LGA Airspace: ${lgaAirspace || "(unknown)"}\n` +
       `Exit Fix: ${exitFix || "(blank)"}\n` +
       `Exit Direction: ${gateDir || "(unknown)"}`;
+
+    if (profile.designator) computedOut.textContent += `\nAircraft: ${describeAircraftProfile(profile)}`;
+
+    if (rule) {
+      computedOut.textContent +=
+        `\nSID: ${sidInfo.procedure}${sidInfo.transition ? "." + sidInfo.transition : ""}` +
+        `${sid ? (isRnavSid(sid) ? " (RNAV)" : "") : " (not in SIDs.tsv)"}\n` +
+        `Departure Freq: ${sid ? norm(sid.DEP_FREQ) || "(unknown)" : "(unknown)"}`;
+    }
   }
 
-  const rule = pickDepartureRule(inputs);
   const depOut = document.getElementById("depOut");
 
   if (depOut) {
     if (!rule) {
       depOut.textContent = "No matching departure rule found.";
     } else {
-      const proc = norm(rule.OUTPUT);
-      const climbVia = isClimbViaSidFromProcedure(proc);
-      const climbText = climbVia ? "CLIMB VIA SID" : "CLIMB AND MAINTAIN 5,000";
+      const climbText = climbTextFromSid(sid);
+      const expectText = expectTextFromSid(sid);
 
       let html =
         `<span class="depLabel">PROCEDURE:</span> <span class="depValue">${escHtml(proc)}</span>` +
         `<br><span class="depLabel">CLIMB:</span> <span class="depNotes">${escHtml(climbText)}</span>`;
 
+      if (expectText) html += `<br><span class="depLabel">EXPECT:</span> <span class="depNotes">${escHtml(expectText)}</span>`;
+      if (sid && norm(sid.DEP_FREQ)) {
+        html += `<br><span class="depLabel">DEP FREQ:</span> <span class="depNotes">${escHtml(sid.DEP_FREQ)}</span>`;
+      }
+      if (isRnavSid(sid)) html += `<br><span class="depLabel">RNAV:</span> <span class="depNotes">RNAV REQUIRED</span>`;
+      if (sidInfo.warning) html += `<br><span class="depWarn">WARNING: ${escHtml(sidInfo.warning)}</span>`;
+      if (isRnavSid(sid) && profile.rnav === false) {
+        html += `<br><span class="depWarn">WARNING: ${escHtml(profile.designator)} is not RNAV capable</span>`;
+      }
+
+      if (trace.exception) {
+        html += `<br><span class="depLabel">ARRIVAL EXCEPTION:</span> ` +
+          `<span class="depNotes">${escHtml(trace.exception.text)} (replaces ${escHtml(norm(rule.BASE_OUTPUT))})</span>`;
+      }
       if (norm(rule.NOTES)) html += `<br><span class="depNotes">NOTES: ${escHtml(rule.NOTES)}</span>`;
       depOut.innerHTML = html;
     }
   }
 
+  const depTrace = document.getElementById("depTrace");
+  if (depTrace) depTrace.innerHTML = renderRuleTraceHtml(trace);
+
   const routesOut = document.getElementById("routesOut");
-  const rts = getRoutes(dest);
+  const allRoutes = getRoutes(dest, rule, profile);
+  const rts = rankPrdRoutes(allRoutes, readPrdFilters(), profile);
+
+  // keep the clicked PRD route only while it is still one of the offered routes
+  if (!rts.some(r => (r.AMENDED ? r.AMENDED.route : norm(r.Route)) === selectedPrdRoute)) selectedPrdRoute = "";
+  lastDeparture = { inputs, rule, proc, sidInfo, dest: norm(dest).toUpperCase(), routes: rts };
+
+  const compliance = checkRouteCompliance(filedRoute, rts, dest);
+  closestPrdRoute = compliance.best ? compliance.best.prdRoute : "";
+  const complianceOut = document.getElementById("complianceOut");
+  if (complianceOut) complianceOut.innerHTML = renderRouteComplianceHtml(compliance);
 
   if (routesOut) {
     if (!norm(dest)) {
       routesOut.innerHTML = `<div class="console" style="min-height:auto;">Enter a destination (e.g. KPHL).</div>`;
+    } else if (!allRoutes.length) {
+      routesOut.innerHTML = `<div class="console" style="min-height:auto;">No routes found for ${escHtml(norm(dest).toUpperCase())}.` +
+        `${destRes.warning ? ` ${escHtml(destRes.warning)}.` : ""}</div>`;
     } else if (!rts.length) {
-      routesOut.innerHTML = `<div class="console" style="min-height:auto;">No routes found for ${escHtml(norm(dest).toUpperCase())}.</div>`;
+      routesOut.innerHTML = `<div class="console" style="min-height:auto;">No routes for ${escHtml(norm(dest).toUpperCase())} match the filters (${allRoutes.length} hidden).</div>`;
     } else {
       routesOut.innerHTML = renderRoutesTable(rts);
     }
@@ -1049,7 +5244,7 @@ function runTool() {
 }
 
 /* INIT */
-document.addEventListener("DOMContentLoaded", async () => {
+if (typeof document !== "undefined") document.addEventListener("DOMContentLoaded", async () => {
   initTheme();
   wireDock();
 
@@ -1061,20 +5256,50 @@ document.addEventListener("DOMContentLoaded", async () => {
     jfkConfigRows = await loadTSV("JFK_ATIS_Config.tsv");
     gatesRows = await loadTSV("Gates.tsv");
     depRulesRows = await loadTSV("Dep_Rules.tsv");
+    const depRulesLoadErrors = checkArrivalExceptions(depRulesRows);
     routesRows = await loadTSV("PRD.tsv");
+    buildPrdDestinations(routesRows);
+    sidsRows = await loadTSV("SIDs.tsv");
+    buildSidMap(sidsRows);
+    aircraftRows = await loadTSV("Aircraft.tsv");
+    buildAircraftMap(aircraftRows);
+    runwaysRows = await loadTSV("Runways.tsv");
+    buildRunwayMap(runwaysRows);
+    configRulesRows = await loadTSV("Config_Rules.tsv");
+    buildConfigRules(configRulesRows);
+    const configRulesLoadErrors = checkConfigRules(configRulesRows);
+    airwaysRows = await loadTSV("Airways.tsv");
+    buildAirwayMap(airwaysRows);
 
     navaidsRows = await loadTSV("NAVAIDs.tsv");
     buildNavaidMaps(navaidsRows);
 
+    fixesRows = await loadTSV("FIXES.tsv");
+    buildFixMaps(fixesRows);
+
     airportsRows = await loadTSV("Airports.tsv");
-    buildAirportMaps(airportsRows);
+    buildAirportMaps(airportsRows, await loadTSV("Airport_Details.tsv"));
+    startSearchEngine();
 
     wireUnifiedPanelClicks();
+    wireFrdTool();
+    wireFrequencyView();
+    wireWxAlertsPanel();
+    wireWxSourceControls();
     wireWxPanel();
+    wireWindLimits();
     wireRunwayHelperPanel();
     wireRvrPanel();
 
     populateDropdowns();
+    wireAircraftDesignator();
+    wirePrdFilters();
+    wireDestTypeahead();
+    wireDiagnosticsPanel();
+    wireDepartureMatrixPanel();
+    wireConfigBriefing();
+    wireClearancePanel();
+    wireBatchPanel();
 
     const exitFixEl = document.getElementById("exitFix");
     const destEl = document.getElementById("dest");
@@ -1084,8 +5309,21 @@ document.addEventListener("DOMContentLoaded", async () => {
     const runBtn = document.getElementById("runBtn");
     if (runBtn) runBtn.addEventListener("click", runTool);
 
-    if (computedOut) computedOut.textContent = "Ready. Fill inputs and hit EXEC.";
+    if (computedOut) {
+      computedOut.textContent = "Ready. Fill inputs and hit EXEC.";
+      if (depRulesLoadErrors.length) {
+        computedOut.textContent += "\n\nLOAD ERRORS (Dep_Rules.tsv):\n" + depRulesLoadErrors.map(e => e.msg).join("\n");
+      }
+      if (configRulesLoadErrors.length) {
+        computedOut.textContent += "\n\nLOAD ERRORS (Config_Rules.tsv):\n" + configRulesLoadErrors.map(e => e.msg).join("\n");
+      }
+    }
   } catch (err) {
     if (computedOut) computedOut.textContent = "ERROR:\n\n" + (err?.message || String(err));
   }
-});
\ No newline at end of file
+});
+
+/* HEADLESS (node): const { parseTSV, runDataDiagnostics, checkMetarDecoder } = require("./app.js") */
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { parseTSV, runDataDiagnostics, decodeMetar, describeMetar, checkMetarDecoder };
+}